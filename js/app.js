@@ -6,21 +6,40 @@ const App = (function() {
     let currentView = 'reader';
     let currentNotebook = null;
     let notebooks = [];
+    let folders = []; // Folder paths listed in the index, including empty ones
+    let whiteboards = [];
+    const notebookContents = new Map(); // id -> markdown, fetched this session
+    const notebookShas = new Map(); // id -> blob SHA of the fetched markdown
+    const unlockedTitles = new Map(); // id -> real title of an unlocked notebook whose title is hidden
+    const MIN_PASSPHRASE_LENGTH = 8;
 
     /**
      * Initialize the application
      */
-    function init() {
+    async function init() {
         // Check authentication
-        if (!Auth.requireAuth()) {
+        if (!Auth.requireAuth() || !(await Auth.unlock())) {
             return;
         }
 
+        // Decrypt the GitHub token and settings
+        await Promise.all([GitHub.init(), Storage.init()]);
+
         // Load settings
         applySettings();
 
-        // Load notebooks
-        loadNotebooks();
+        Revisions.onRestore(restoreRevision);
+
+        // Offline mirror and commit queue; refresh lists once queued saves land
+        Sync.init();
+        Sync.onSynced(() => {
+            loadNotebooks().then(updateSearchIndex);
+            loadWhiteboards();
+        });
+
+        // Load notebooks and whiteboards, then bring the search index up to date
+        Promise.all([Search.init(), loadNotebooks()]).then(updateSearchIndex);
+        loadWhiteboards();
 
         // Initialize modules
         Markdown.init();
@@ -89,10 +108,172 @@ const App = (function() {
         const notebookList = document.getElementById('notebook-list');
         if (notebookList) {
             notebookList.addEventListener('click', (e) => {
+                const menuBtn = e.target.closest('[data-notebook-menu], [data-folder-menu]');
+                const folderHeader = e.target.closest('.nav-folder-header');
+                const link = e.target.closest('.nav-link');
+                if (menuBtn) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    const rect = menuBtn.getBoundingClientRect();
+                    if (menuBtn.dataset.folderMenu) {
+                        showFolderMenu(menuBtn.dataset.folderMenu, rect.left, rect.bottom);
+                    } else {
+                        showNotebookMenu(menuBtn.dataset.notebookMenu, rect.left, rect.bottom);
+                    }
+                } else if (folderHeader) {
+                    e.preventDefault();
+                    toggleFolder(folderHeader);
+                } else if (link && link.dataset.notebook) {
+                    e.preventDefault();
+                    loadNotebook(link.dataset.notebook, link.dataset.heading);
+                }
+            });
+
+            notebookList.addEventListener('contextmenu', (e) => {
+                const link = e.target.closest('.nav-link[data-notebook]');
+                const folderHeader = e.target.closest('.nav-folder-header');
+                if (link) {
+                    e.preventDefault();
+                    showNotebookMenu(link.dataset.notebook, e.clientX, e.clientY);
+                } else if (folderHeader) {
+                    e.preventDefault();
+                    showFolderMenu(folderHeader.dataset.folder, e.clientX, e.clientY);
+                }
+            });
+
+            initNotebookDragAndDrop(notebookList);
+        }
+
+        // New top-level folder
+        document.getElementById('new-folder-btn')?.addEventListener('click', () => createFolder(null));
+
+        // Notebook and folder actions menu
+        const contextMenu = document.getElementById('context-menu');
+        if (contextMenu) {
+            contextMenu.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-menu-action]');
+                if (!item) return;
+
+                const target = contextMenu.dataset.target;
+                hideContextMenu();
+
+                switch (item.dataset.menuAction) {
+                    case 'rename':
+                        renameNotebook(target);
+                        break;
+                    case 'move': {
+                        const notebook = notebooks.find(nb => nb.id === target);
+                        const folder = promptForFolder(`Move "${notebook.title}" to folder (leave blank for root, use / for subfolders):`, notebook.folder || '');
+                        if (folder !== undefined) {
+                            moveNotebook(target, folder);
+                        }
+                        break;
+                    }
+                    case 'encrypt':
+                        setNotebookEncryption(target, true);
+                        break;
+                    case 'decrypt':
+                        setNotebookEncryption(target, false);
+                        break;
+                    case 'delete':
+                        deleteNotebook(target);
+                        break;
+                    case 'new-subfolder':
+                        createFolder(target);
+                        break;
+                    case 'rename-folder':
+                        renameFolder(target);
+                        break;
+                    case 'delete-folder':
+                        deleteFolder(target);
+                        break;
+                }
+            });
+
+            document.addEventListener('click', (e) => {
+                if (!contextMenu.contains(e.target)) {
+                    hideContextMenu();
+                }
+            });
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    hideContextMenu();
+                }
+            });
+            window.addEventListener('resize', hideContextMenu);
+        }
+
+        // Tag list clicks
+        const tagList = document.getElementById('tag-list');
+        if (tagList) {
+            tagList.addEventListener('click', (e) => {
+                const renameBtn = e.target.closest('[data-tag-rename]');
+                const link = e.target.closest('[data-tag]');
+                if (renameBtn) {
+                    e.preventDefault();
+                    renameTag(renameBtn.dataset.tagRename);
+                } else if (link) {
+                    e.preventDefault();
+                    filterByTag(link.dataset.tag);
+                }
+            });
+        }
+
+        // Whiteboard list clicks
+        const whiteboardList = document.getElementById('whiteboard-list');
+        if (whiteboardList) {
+            whiteboardList.addEventListener('click', (e) => {
                 const link = e.target.closest('.nav-link');
-                if (link && link.dataset.notebook) {
+                if (link && link.dataset.whiteboard) {
+                    e.preventDefault();
+                    loadWhiteboard(link.dataset.whiteboard);
+                }
+            });
+        }
+
+        // Wiki links and embedded whiteboard previews in the reader
+        const markdownContent = document.getElementById('markdown-content');
+        if (markdownContent) {
+            markdownContent.addEventListener('click', (e) => {
+                const embed = e.target.closest('.whiteboard-embed');
+                if (embed && embed.dataset.whiteboard) {
+                    e.preventDefault();
+                    loadWhiteboard(embed.dataset.whiteboard);
+                    return;
+                }
+
+                const wikiLink = e.target.closest('.wiki-link');
+                if (wikiLink) {
+                    e.preventDefault();
+                    followWikiLink(wikiLink);
+                }
+            });
+        }
+
+        // Backlinks panel clicks
+        const backlinksPanel = document.getElementById('backlinks-panel');
+        if (backlinksPanel) {
+            backlinksPanel.addEventListener('click', (e) => {
+                const link = e.target.closest('[data-backlink]');
+                if (link) {
                     e.preventDefault();
-                    loadNotebook(link.dataset.notebook);
+                    loadNotebook(link.dataset.backlink);
+                }
+            });
+        }
+
+        // Drafts panel actions
+        const draftsPanel = document.getElementById('drafts-panel');
+        if (draftsPanel) {
+            draftsPanel.addEventListener('click', (e) => {
+                const notebookLink = e.target.closest('[data-draft-notebook]');
+                const action = e.target.closest('[data-draft-action]');
+                if (notebookLink) {
+                    e.preventDefault();
+                    loadNotebook(notebookLink.dataset.draftNotebook);
+                } else if (action) {
+                    e.preventDefault();
+                    handleDraftAction(action.dataset.draftAction, action.closest('[data-draft]').dataset.draft);
                 }
             });
         }
@@ -127,6 +308,8 @@ const App = (function() {
         // Initialize view-specific functionality
         if (viewName === 'whiteboard') {
             Whiteboard.init();
+        } else if (viewName === 'drafts') {
+            renderDrafts();
         }
     }
 
@@ -144,38 +327,54 @@ const App = (function() {
         switch (viewName) {
             case 'reader':
                 pageTitle.textContent = currentNotebook ? currentNotebook.title : 'Welcome';
-                if (currentNotebook) {
+                if (currentNotebook && !currentNotebook.locked) {
                     headerActions.innerHTML = `
+                        ${GitHub.isConfigured() ? '<button class="btn btn-ghost" id="btn-history">History</button>' : ''}
                         <button class="btn btn-primary" id="btn-edit-notebook">Edit</button>
                     `;
+                    document.getElementById('btn-history')?.addEventListener('click', showHistory);
                     document.getElementById('btn-edit-notebook')?.addEventListener('click', editCurrentNotebook);
                 }
                 break;
 
+            case 'history':
+                pageTitle.textContent = currentNotebook ? `History: ${currentNotebook.title}` : 'History';
+                headerActions.innerHTML = `
+                    <button class="btn btn-secondary" id="btn-history-back">Back to Notebook</button>
+                `;
+                document.getElementById('btn-history-back')?.addEventListener('click', () => showView('reader'));
+                break;
+
             case 'editor':
                 pageTitle.textContent = 'Editor';
                 const githubConfigured = GitHub.isConfigured();
                 headerActions.innerHTML = `
                     <button class="btn btn-secondary" id="btn-new">New</button>
                     <button class="btn btn-secondary" id="btn-export">Export</button>
+                    ${githubConfigured ? '<button class="btn btn-secondary" id="btn-save-encrypted">Save Encrypted...</button>' : ''}
                     ${githubConfigured ? '<button class="btn btn-primary" id="btn-save-github">Save to GitHub</button>' : '<button class="btn btn-ghost" id="btn-setup-github">Setup GitHub Sync</button>'}
                 `;
                 document.getElementById('btn-new')?.addEventListener('click', () => Editor.newDraft());
                 document.getElementById('btn-export')?.addEventListener('click', () => Editor.exportMarkdown());
-                document.getElementById('btn-save-github')?.addEventListener('click', saveToGitHub);
+                document.getElementById('btn-save-github')?.addEventListener('click', () => saveToGitHub());
+                document.getElementById('btn-save-encrypted')?.addEventListener('click', saveEncrypted);
                 document.getElementById('btn-setup-github')?.addEventListener('click', openSettings);
                 break;
 
             case 'whiteboard':
-                pageTitle.textContent = 'Whiteboard';
+                const board = Whiteboard.getCurrentBoard();
+                pageTitle.textContent = board ? board.title : 'Whiteboard';
                 const whiteboardGithubConfigured = GitHub.isConfigured();
                 headerActions.innerHTML = `
+                    <button class="btn btn-secondary" id="btn-new-whiteboard">New</button>
                     <button class="btn btn-ghost" id="btn-undo">Undo</button>
                     <button class="btn btn-ghost" id="btn-redo">Redo</button>
                     <button class="btn btn-ghost" id="btn-clear">Clear</button>
                     <button class="btn btn-secondary" id="btn-export-png">Export PNG</button>
+                    <button class="btn btn-secondary" id="btn-export-svg">Export SVG</button>
                     ${whiteboardGithubConfigured ? '<button class="btn btn-primary" id="btn-save-whiteboard">Save to GitHub</button>' : ''}
                 `;
+                document.getElementById('btn-new-whiteboard')?.addEventListener('click', newWhiteboard);
                 document.getElementById('btn-undo')?.addEventListener('click', () => Whiteboard.undo());
                 document.getElementById('btn-redo')?.addEventListener('click', () => Whiteboard.redo());
                 document.getElementById('btn-clear')?.addEventListener('click', () => {
@@ -184,12 +383,24 @@ const App = (function() {
                     }
                 });
                 document.getElementById('btn-export-png')?.addEventListener('click', () => Whiteboard.exportPNG());
+                document.getElementById('btn-export-svg')?.addEventListener('click', () => Whiteboard.exportSVG());
                 document.getElementById('btn-save-whiteboard')?.addEventListener('click', saveWhiteboardToGitHub);
                 break;
 
             case 'recent':
                 pageTitle.textContent = 'Recent Notes';
                 break;
+
+            case 'drafts':
+                pageTitle.textContent = 'Drafts';
+                headerActions.innerHTML = `
+                    <button class="btn btn-secondary" id="btn-new-draft">New</button>
+                `;
+                document.getElementById('btn-new-draft')?.addEventListener('click', () => {
+                    Editor.newDraft();
+                    showView('editor');
+                });
+                break;
         }
     }
 
@@ -220,9 +431,7 @@ const App = (function() {
             const data = await response.json();
             console.log('Loaded notebooks:', data);
 
-            notebooks = data.notebooks || [];
-            renderNotebookList();
-            renderTagList(data.tags || []);
+            applyNotebookIndex(data);
         } catch (err) {
             console.error('Could not load notebooks:', err);
 
@@ -232,10 +441,7 @@ const App = (function() {
                     console.log('Trying to load from GitHub API...');
                     const file = await GitHub.getFile('notebooks/_index.json');
                     if (file) {
-                        const data = JSON.parse(file.content);
-                        notebooks = data.notebooks || [];
-                        renderNotebookList();
-                        renderTagList(data.tags || []);
+                        applyNotebookIndex(JSON.parse(file.content));
                         return;
                     }
                 } catch (githubErr) {
@@ -243,256 +449,1378 @@ const App = (function() {
                 }
             }
 
+            // Offline: use the copy mirrored on the last successful load
+            const mirrored = await Sync.getIndex('notebooks');
+            if (mirrored) {
+                applyNotebookIndex(mirrored, false);
+                return;
+            }
+
             notebooks = [];
+            folders = [];
+            Markdown.setNotebooks(notebooks);
             renderNotebookList();
         }
     }
 
     /**
-     * Render the notebook list in sidebar (grouped by folder)
+     * Render the notebook list in sidebar as a tree of folders
      */
     function renderNotebookList() {
         const list = document.getElementById('notebook-list');
         if (!list) return;
 
-        if (notebooks.length === 0) {
+        if (notebooks.length === 0 && folders.length === 0) {
             list.innerHTML = '<li class="nav-item"><span class="nav-link" style="color: var(--color-text-muted)">No notebooks yet</span></li>';
             return;
         }
 
-        // Group notebooks by folder
-        const folders = {};
-        const unfiled = [];
+        const tree = buildFolderTree();
+        const collapsed = new Set(Storage.getSetting('collapsedFolders') || []);
+
+        list.innerHTML = renderFolderContents(tree, collapsed);
+    }
 
-        notebooks.forEach(nb => {
-            if (nb.folder) {
-                if (!folders[nb.folder]) {
-                    folders[nb.folder] = [];
+    /**
+     * Build the folder tree from notebook folders and the index's own
+     * folder list (which keeps empty folders)
+     * @returns {Object} Root node: { name, path, folders: Map, notebooks, count }
+     */
+    function buildFolderTree() {
+        const makeNode = (name, path) => ({ name, path, folders: new Map(), notebooks: [], count: 0 });
+        const root = makeNode('', null);
+
+        const nodeFor = (folder) => {
+            let node = root;
+            splitFolder(folder).forEach((name, i, parts) => {
+                if (!node.folders.has(name)) {
+                    node.folders.set(name, makeNode(name, parts.slice(0, i + 1).join('/')));
                 }
-                folders[nb.folder].push(nb);
-            } else {
-                unfiled.push(nb);
-            }
-        });
+                node = node.folders.get(name);
+            });
+            return node;
+        };
 
-        let html = '';
-
-        // Render folders first
-        const folderNames = Object.keys(folders).sort();
-        folderNames.forEach(folderName => {
-            const folderNotebooks = folders[folderName];
-            html += `
-                <li class="nav-item nav-folder">
-                    <div class="nav-folder-header" data-folder="${folderName}">
-                        <svg class="folder-icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
-                        </svg>
-                        <span>${folderName}</span>
-                        <svg class="folder-chevron" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <polyline points="6 9 12 15 18 9"/>
-                        </svg>
-                    </div>
-                    <ul class="nav-folder-contents">
-                        ${folderNotebooks.map(nb => renderNotebookItem(nb)).join('')}
-                    </ul>
-                </li>
-            `;
-        });
+        folders.forEach(nodeFor);
+        notebooks.forEach(nb => nodeFor(nb.folder).notebooks.push(nb));
 
-        // Render unfiled notebooks
-        unfiled.forEach(nb => {
-            html += renderNotebookItem(nb);
-        });
+        // Counts include notebooks in subfolders
+        const count = (node) => {
+            node.count = node.notebooks.length;
+            node.folders.forEach(child => {
+                node.count += count(child);
+            });
+            return node.count;
+        };
+        count(root);
 
-        list.innerHTML = html;
+        return root;
+    }
 
-        // Add folder toggle listeners
-        list.querySelectorAll('.nav-folder-header').forEach(header => {
-            header.addEventListener('click', (e) => {
-                e.preventDefault();
-                const folder = header.closest('.nav-folder');
-                folder.classList.toggle('collapsed');
-            });
-        });
+    /**
+     * Split a folder path into its names, ignoring stray slashes
+     */
+    function splitFolder(folder) {
+        return (folder || '').split('/').map(part => part.trim()).filter(Boolean);
+    }
+
+    /**
+     * Render a folder's subfolders (alphabetically) followed by its notebooks
+     */
+    function renderFolderContents(node, collapsed) {
+        const subfolders = [...node.folders.values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(child => renderFolder(child, collapsed));
+
+        return subfolders.join('') + node.notebooks.map(nb => renderNotebookItem(nb)).join('');
+    }
+
+    /**
+     * Render a folder and, unless collapsed, its contents
+     */
+    function renderFolder(node, collapsed) {
+        const escape = Markdown.escapeHtml;
+        return `
+            <li class="nav-item nav-folder${collapsed.has(node.path) ? ' collapsed' : ''}">
+                <div class="nav-folder-header" data-folder="${escape(node.path)}">
+                    <svg class="folder-icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+                    </svg>
+                    <span>${escape(node.name)}</span>
+                    <span class="nav-count">${node.count}</span>
+                    <svg class="folder-chevron" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="6 9 12 15 18 9"/>
+                    </svg>
+                    <button class="nav-action" data-folder-menu="${escape(node.path)}" title="New subfolder, rename or delete">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="5" cy="12" r="1"/>
+                            <circle cx="12" cy="12" r="1"/>
+                            <circle cx="19" cy="12" r="1"/>
+                        </svg>
+                    </button>
+                </div>
+                <ul class="nav-folder-contents">
+                    ${renderFolderContents(node, collapsed)}
+                </ul>
+            </li>
+        `;
+    }
+
+    /**
+     * Collapse or expand a folder and remember it
+     */
+    function toggleFolder(header) {
+        const folder = header.closest('.nav-folder');
+        const isCollapsed = folder.classList.toggle('collapsed');
+        const path = header.dataset.folder;
+
+        const collapsed = new Set(Storage.getSetting('collapsedFolders') || []);
+        if (isCollapsed) {
+            collapsed.add(path);
+        } else {
+            collapsed.delete(path);
+        }
+        Storage.setSetting('collapsedFolders', [...collapsed].sort());
     }
 
     /**
      * Render a single notebook item
      */
     function renderNotebookItem(nb) {
+        const escape = Markdown.escapeHtml;
         return `
             <li class="nav-item">
-                <a href="#" class="nav-link" data-notebook="${nb.id}">
+                <a href="#" class="nav-link" data-notebook="${escape(nb.id)}" draggable="true">
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
                         <polyline points="14,2 14,8 20,8"/>
                         <line x1="16" y1="13" x2="8" y2="13"/>
                         <line x1="16" y1="17" x2="8" y2="17"/>
                     </svg>
-                    <span>${nb.title}</span>
+                    <span>${escape(notebookTitle(nb))}</span>
                 </a>
+                <button class="nav-action" data-notebook-menu="${escape(nb.id)}" title="Rename, move or delete">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="5" cy="12" r="1"/>
+                        <circle cx="12" cy="12" r="1"/>
+                        <circle cx="19" cy="12" r="1"/>
+                    </svg>
+                </button>
             </li>
         `;
     }
 
     /**
-     * Render the tag list in sidebar
+     * A notebook's title for display: the real one for a hidden title
+     * unlocked this session, otherwise the one in the index
      */
-    function renderTagList(tags) {
-        const list = document.getElementById('tag-list');
-        if (!list) return;
-
-        if (tags.length === 0) {
-            list.innerHTML = '<li class="nav-item"><span class="nav-link" style="color: var(--color-text-muted)">No tags yet</span></li>';
-            return;
-        }
-
-        list.innerHTML = tags.map(tag => `
-            <li class="nav-item">
-                <a href="#" class="nav-link" data-tag="${tag}">
-                    <span style="color: var(--color-accent)">#</span>
-                    <span>${tag}</span>
-                </a>
-            </li>
-        `).join('');
+    function notebookTitle(nb) {
+        return unlockedTitles.get(nb.id) || nb.title;
     }
 
     /**
-     * Load a specific notebook
+     * Let notebooks be dragged onto a folder, or out of one onto the list
      */
-    async function loadNotebook(id) {
-        try {
-            const notebook = notebooks.find(nb => nb.id === id);
-            if (!notebook) {
-                console.error('Notebook not found:', id);
-                return;
-            }
+    function initNotebookDragAndDrop(list) {
+        const NOTEBOOK_TYPE = 'application/x-moleskine-notebook';
+
+        // The folder under the pointer (null for the root of the list)
+        const dropTarget = (e) => {
+            const folder = e.target.closest('.nav-folder');
+            return folder
+                ? { el: folder, folder: folder.querySelector('.nav-folder-header').dataset.folder }
+                : { el: list, folder: null };
+        };
+        const clearHighlight = () => {
+            list.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            list.classList.remove('drop-target');
+        };
+
+        list.addEventListener('dragstart', (e) => {
+            const link = e.target.closest('.nav-link[data-notebook]');
+            if (!link) return;
+
+            e.dataTransfer.setData(NOTEBOOK_TYPE, link.dataset.notebook);
+            e.dataTransfer.effectAllowed = 'move';
+        });
 
-            let content = null;
+        list.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes(NOTEBOOK_TYPE)) return;
 
-            // Try fetching from local path first
-            try {
-                const response = await fetch(`notebooks/${id}.md`);
-                if (response.ok) {
-                    content = await response.text();
-                }
-            } catch (fetchErr) {
-                console.warn('Local fetch failed:', fetchErr);
-            }
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            clearHighlight();
+            dropTarget(e).el.classList.add('drop-target');
+        });
 
-            // If local fetch failed and GitHub is configured, try GitHub API
-            if (!content && GitHub.isConfigured()) {
-                try {
-                    const file = await GitHub.getFile(`notebooks/${id}.md`);
-                    if (file) {
-                        content = file.content;
-                    }
-                } catch (githubErr) {
-                    console.warn('GitHub fetch failed:', githubErr);
-                }
+        list.addEventListener('dragleave', (e) => {
+            if (!list.contains(e.relatedTarget)) {
+                clearHighlight();
             }
+        });
 
-            if (!content) {
-                throw new Error('Failed to load notebook content');
-            }
+        list.addEventListener('dragend', clearHighlight);
 
-            currentNotebook = { ...notebook, content };
+        list.addEventListener('drop', (e) => {
+            const id = e.dataTransfer.getData(NOTEBOOK_TYPE);
+            clearHighlight();
+            if (!id) return;
 
-            // Add to recent
-            Storage.addToRecent(notebook);
+            e.preventDefault();
+            moveNotebook(id, dropTarget(e).folder);
+        });
+    }
 
-            // Render markdown
-            const container = document.getElementById('markdown-content');
-            Markdown.render(content, container);
+    /**
+     * Show the rename/move/delete menu for a notebook at a screen position
+     */
+    function showNotebookMenu(id, x, y) {
+        const notebook = notebooks.find(nb => nb.id === id);
+        if (!notebook) return;
+
+        openContextMenu(id, `
+            <button data-menu-action="rename">Rename...</button>
+            <button data-menu-action="move">Move to Folder...</button>
+            ${notebook.encrypted
+                ? '<button data-menu-action="decrypt">Remove Encryption...</button>'
+                : '<button data-menu-action="encrypt">Encrypt...</button>'}
+            <button class="context-menu-danger" data-menu-action="delete">Delete...</button>
+        `, x, y);
+    }
 
-            // Update header
-            showView('reader');
+    /**
+     * Show the new subfolder/rename/delete menu for a folder
+     */
+    function showFolderMenu(path, x, y) {
+        openContextMenu(path, `
+            <button data-menu-action="new-subfolder">New Subfolder...</button>
+            <button data-menu-action="rename-folder">Rename Folder...</button>
+            <button class="context-menu-danger" data-menu-action="delete-folder">Delete Folder...</button>
+        `, x, y);
+    }
 
-            // Update active state in nav
-            document.querySelectorAll('[data-notebook]').forEach(link => {
-                link.classList.toggle('active', link.dataset.notebook === id);
-            });
+    /**
+     * Fill the context menu with actions for a target and show it,
+     * keeping it on screen
+     */
+    function openContextMenu(target, html, x, y) {
+        const menu = document.getElementById('context-menu');
+        if (!menu) return;
 
-        } catch (err) {
-            console.error('Error loading notebook:', err);
-        }
+        menu.dataset.target = target;
+        menu.innerHTML = html;
+        menu.classList.remove('hidden');
+
+        const { width, height } = menu.getBoundingClientRect();
+        menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - width - 8))}px`;
+        menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - height - 8))}px`;
     }
 
     /**
-     * Load initial content (welcome or last viewed)
+     * Hide the notebook actions menu
      */
-    function loadInitialContent() {
-        // Try to load welcome notebook
-        if (notebooks.some(nb => nb.id === 'welcome')) {
-            loadNotebook('welcome');
-        } else if (notebooks.length > 0) {
-            loadNotebook(notebooks[0].id);
-        } else {
-            // Show placeholder content
-            const container = document.getElementById('markdown-content');
-            if (container) {
-                container.innerHTML = `
-                    <h1>Welcome to Moleskine</h1>
-                    <p>Your personal digital notebook.</p>
-                    <p>Get started by:</p>
-                    <ul>
-                        <li>Creating a new note in the <strong>Editor</strong></li>
-                        <li>Drawing on the <strong>Whiteboard</strong></li>
-                        <li>Adding <code>.md</code> files to the <code>notebooks/</code> folder</li>
-                    </ul>
-                `;
-            }
-        }
+    function hideContextMenu() {
+        document.getElementById('context-menu')?.classList.add('hidden');
     }
 
     /**
-     * Handle search input
+     * Turn a title into a notebook ID (its file name)
      */
-    function handleSearch(e) {
-        const query = e.target.value.toLowerCase().trim();
+    function notebookIdFromTitle(title) {
+        return title.toLowerCase()
+            .replace(/[^\w\s-]/g, '')
+            .replace(/\s+/g, '-')
+            .substring(0, 50) || 'untitled';
+    }
 
-        if (!query) {
-            renderNotebookList();
+    /**
+     * Ask for a folder name, listing the existing folders
+     * @returns {string|null|undefined} The folder, null for the root, or
+     *   undefined if cancelled
+     */
+    function promptForFolder(message, current = '') {
+        const existingFolders = allFolders();
+        const folderOptions = existingFolders.length > 0
+            ? `\n\nExisting folders: ${existingFolders.join(', ')}`
+            : '';
+
+        const input = prompt(`${message}${folderOptions}`, current);
+        if (input === null) return undefined;
+        return splitFolder(input).join('/') || null;
+    }
+
+    /**
+     * Every folder path, including parents of nested folders, sorted
+     */
+    function allFolders() {
+        const paths = new Set();
+        [...folders, ...notebooks.map(nb => nb.folder)].forEach(folder => {
+            splitFolder(folder).forEach((_, i, parts) => paths.add(parts.slice(0, i + 1).join('/')));
+        });
+        return [...paths].sort();
+    }
+
+    /**
+     * Check whether a folder path is the given folder or inside it
+     */
+    function isInFolder(path, folder) {
+        return Boolean(path) && (path === folder || path.startsWith(folder + '/'));
+    }
+
+    /**
+     * Create a folder, inside a parent folder or at the top level
+     */
+    async function createFolder(parent) {
+        if (!requireGitHub()) return;
+
+        const input = prompt(parent ? `New folder inside "${parent}":` : 'New folder name (use / for subfolders):');
+        if (input === null) return;
+
+        const name = splitFolder(input).join('/');
+        if (!name) return;
+
+        const path = parent ? `${parent}/${name}` : name;
+        if (allFolders().includes(path)) {
+            alert(`The folder "${path}" already exists.`);
             return;
         }
 
-        const filtered = notebooks.filter(nb =>
-            nb.title.toLowerCase().includes(query) ||
-            (nb.tags && nb.tags.some(t => t.toLowerCase().includes(query)))
-        );
+        try {
+            applyNotebookIndex(await GitHub.createFolder(path));
+        } catch (err) {
+            console.error('Failed to create folder:', err);
+            alert('Failed to create folder: ' + err.message);
+        }
+    }
 
-        const list = document.getElementById('notebook-list');
-        if (!list) return;
+    /**
+     * Rename or move a folder with everything in it
+     */
+    async function renameFolder(path) {
+        if (!requireGitHub()) return;
 
-        if (filtered.length === 0) {
-            list.innerHTML = '<li class="nav-item"><span class="nav-link" style="color: var(--color-text-muted)">No matches</span></li>';
-        } else {
-            list.innerHTML = filtered.map(nb => `
-                <li class="nav-item">
-                    <a href="#" class="nav-link" data-notebook="${nb.id}">
-                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
-                            <polyline points="14,2 14,8 20,8"/>
-                        </svg>
-                        <span>${nb.title}</span>
-                    </a>
-                </li>
-            `).join('');
+        const input = prompt(`Rename "${path}" to (use / to move it inside another folder):`, path);
+        if (input === null) return;
+
+        const to = splitFolder(input).join('/');
+        if (!to || to === path) return;
+        if (isInFolder(to, path)) {
+            alert('A folder cannot be moved inside itself.');
+            return;
         }
+        if (allFolders().includes(to)) {
+            alert(`The folder "${to}" already exists.`);
+            return;
+        }
+
+        await moveFolderContents(path, to, `Rename folder: ${path} to ${to}`);
     }
 
     /**
-     * Initialize settings modal
+     * Delete a folder; its notebooks and subfolders move up to its parent
      */
-    function initSettingsModal() {
-        const modal = document.getElementById('settings-modal');
-        const closeBtn = document.getElementById('settings-close');
-        const backdrop = modal?.querySelector('.modal-backdrop');
-        const testBtn = document.getElementById('github-test');
-        const saveBtn = document.getElementById('github-save');
+    async function deleteFolder(path) {
+        if (!requireGitHub()) return;
 
-        // Close modal handlers
-        closeBtn?.addEventListener('click', closeSettings);
+        const parent = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : null;
+        const count = notebooks.filter(nb => isInFolder(nb.folder, path)).length;
+        const contents = count > 0
+            ? ` Its ${count} notebook(s) and any subfolders move to ${parent ? `"${parent}"` : 'the top level'}; no notebooks are deleted.`
+            : '';
+
+        if (!confirm(`Delete the folder "${path}"?${contents}`)) return;
+
+        await moveFolderContents(path, parent, `Delete folder: ${path}`);
+    }
+
+    /**
+     * Move everything in a folder to a new path (null for the top level),
+     * keeping front matter folders and the collapsed state in step
+     */
+    async function moveFolderContents(from, to, message) {
+        const movePath = folder => [to, folder.slice(from.length + 1)].filter(Boolean).join('/') || null;
+
+        try {
+            // Front matter folder wins over the index, so rewrite it too
+            const files = [];
+            const rewritten = new Map();
+            for (const nb of notebooks.filter(n => isInFolder(n.folder, from))) {
+                const content = await fetchNotebookContent(nb.id);
+                const { data } = content ? Markdown.parseFrontMatter(content) : { data: {} };
+                if (data.folder === undefined) continue;
+
+                const updated = Markdown.setFrontMatterField(content, 'folder', movePath(nb.folder));
+                if (updated !== null && updated !== content) {
+                    rewritten.set(nb.id, updated);
+                    files.push({ path: GitHub.notebookPath(nb), content: updated, baseSha: notebookShas.get(nb.id) });
+                }
+            }
+
+            const index = await GitHub.moveFolder(from, to, message, files);
+            applyNotebookIndex(index);
+
+            for (const [id, content] of rewritten) {
+                const entry = notebooks.find(nb => nb.id === id);
+                if (entry) {
+                    await recordSavedNotebook(entry, content);
+                }
+            }
+
+            // Keep collapsed subfolders collapsed under their new path
+            const collapsed = (Storage.getSetting('collapsedFolders') || [])
+                .map(folder => (isInFolder(folder, from) ? movePath(folder) : folder))
+                .filter(Boolean);
+            Storage.setSetting('collapsedFolders', [...new Set(collapsed)].sort());
+            renderNotebookList();
+
+            if (currentNotebook && rewritten.has(currentNotebook.id)) {
+                loadNotebook(currentNotebook.id);
+            }
+        } catch (err) {
+            reportNotebookChangeError(err, 'update folder');
+        }
+    }
+
+    /**
+     * Check GitHub is set up before changing notebooks, opening settings if not
+     */
+    function requireGitHub() {
+        if (GitHub.isConfigured()) return true;
+
+        alert('Please configure GitHub settings first');
+        openSettings();
+        return false;
+    }
+
+    /**
+     * Show a loaded or freshly committed notebook index, mirroring it for
+     * offline use
+     */
+    function applyNotebookIndex(index, mirror = true) {
+        notebooks = index.notebooks || [];
+        folders = index.folders || [];
+        Markdown.setNotebooks(notebooks);
+        renderNotebookList();
+        renderTagList(index.tags || []);
+        if (mirror) {
+            Sync.mirrorIndex('notebooks', index);
+        }
+    }
+
+    /**
+     * Report a failed rename, move or delete. A conflict means a file was
+     * changed elsewhere, so the cached copy is dropped and fetched again.
+     */
+    function reportNotebookChangeError(err, action) {
+        if (err.status === 409 && err.path) {
+            const id = err.path.replace(/^notebooks\//, '').replace(/\.md(\.enc)?$/, '');
+            notebookContents.delete(id);
+            notebookShas.delete(id);
+            alert(`Could not ${action}: ${err.path} was changed on GitHub since it was loaded. Please try again.`);
+            return;
+        }
+
+        console.error(`Failed to ${action}:`, err);
+        alert(`Failed to ${action}: ` + err.message);
+    }
+
+    /**
+     * Rename a notebook: retitle it, move its file to the matching ID and
+     * point wiki links in other notebooks at the new title
+     */
+    async function renameNotebook(id) {
+        const notebook = notebooks.find(nb => nb.id === id);
+        if (!notebook || !requireGitHub()) return;
+
+        const title = prompt('Rename notebook:', notebookTitle(notebook))?.trim();
+        if (!title || title === notebookTitle(notebook)) return;
+
+        // Notebooks in a subfolder of notebooks/ stay in it. A hidden
+        // title keeps its ID so the file name doesn't give it away.
+        const newId = notebook.hideTitle
+            ? id
+            : id.slice(0, id.lastIndexOf('/') + 1) + notebookIdFromTitle(title);
+        if (newId !== id && notebooks.some(nb => nb.id === newId)) {
+            alert(`A notebook called "${newId}" already exists. Choose another title.`);
+            return;
+        }
+
+        try {
+            const content = await readNotebook(id);
+            if (!content) {
+                throw new Error(notebook.encrypted
+                    ? 'Open the notebook and unlock it first'
+                    : 'The notebook could not be loaded');
+            }
+
+            // Links resolve against the current index, so rewrite them before it changes
+            const target = /^[^[\]|#\n]+$/.test(title) ? title : newId;
+            const renamed = Markdown.replaceWikiLinks(Markdown.setTitle(content, title), id, target);
+            const linking = [];
+            for (const source of await findBacklinks(id)) {
+                const sourceContent = await fetchNotebookContent(source.id);
+                const updated = Markdown.replaceWikiLinks(sourceContent, id, target);
+                if (updated !== sourceContent) {
+                    linking.push({ id: source.id, content: updated });
+                }
+            }
+
+            if (linking.length > 0 && !confirm(`Rename "${notebookTitle(notebook)}" to "${title}"? Links in ${linking.length} other notebook(s) will be updated.`)) {
+                return;
+            }
+
+            const files = linking.map(nb => ({
+                path: GitHub.notebookPath(nb),
+                content: nb.content,
+                baseSha: notebookShas.get(nb.id)
+            }));
+            const stored = notebook.encrypted ? await Encryption.seal(id, renamed) : renamed;
+            const index = await GitHub.renameNotebook(id, newId, title, stored, notebookShas.get(id), files);
+
+            notebookContents.delete(id);
+            notebookShas.delete(id);
+            Search.removeNotebook(id);
+            applyNotebookIndex(index);
+
+            if (notebook.hideTitle) {
+                unlockedTitles.set(id, title);
+            }
+
+            const entryFor = nbId => notebooks.find(nb => nb.id === nbId) || { id: nbId, title: nbId };
+            await recordSavedNotebook(entryFor(newId), stored);
+            for (const nb of linking) {
+                await recordSavedNotebook(entryFor(nb.id), nb.content);
+            }
+            await relinkDrafts(id, newId, title);
+
+            if (currentNotebook && currentNotebook.id === id) {
+                loadNotebook(newId);
+            } else if (currentNotebook && linking.some(nb => nb.id === currentNotebook.id)) {
+                loadNotebook(currentNotebook.id);
+            }
+        } catch (err) {
+            reportNotebookChangeError(err, 'rename notebook');
+        }
+    }
+
+    /**
+     * Point drafts and the editor at a notebook's new ID after a rename
+     */
+    async function relinkDrafts(oldId, newId, title) {
+        const editing = Editor.getCurrentNotebook();
+        if (editing && editing.id === oldId) {
+            Editor.setCurrentNotebook(newId, title, editing.base, editing.encrypted);
+        }
+
+        try {
+            const drafts = await Storage.getDrafts();
+            for (const [draftId, draft] of Object.entries(drafts)) {
+                if (draft.notebook?.id === oldId) {
+                    await Storage.saveDraft(draftId, draft.content, draft.title, { ...draft.notebook, id: newId, title });
+                }
+            }
+        } catch (err) {
+            console.warn('Could not update drafts after rename:', err);
+        }
+    }
+
+    /**
+     * Move a notebook to another folder (null for the root)
+     */
+    async function moveNotebook(id, folder) {
+        const notebook = notebooks.find(nb => nb.id === id);
+        if (!notebook || (notebook.folder || null) === folder || !requireGitHub()) return;
+
+        try {
+            // Front matter folder wins over the index, so keep it in step
+            // (encrypted notebooks keep their folder in the index only)
+            const content = await fetchNotebookContent(id);
+            const updated = content && !notebook.encrypted
+                ? Markdown.setFrontMatterField(content, 'folder', folder)
+                : null;
+            const files = updated === null
+                ? []
+                : [{ path: GitHub.notebookPath(notebook), content: updated, baseSha: notebookShas.get(id) }];
+
+            const index = await GitHub.moveNotebooks(
+                { [id]: folder },
+                `Move notebook: ${notebook.title} to ${folder || 'the root folder'}`,
+                files
+            );
+            applyNotebookIndex(index);
+
+            const entry = notebooks.find(nb => nb.id === id);
+            if (entry && (updated || content)) {
+                await recordSavedNotebook(entry, updated || content);
+            }
+            if (updated && currentNotebook && currentNotebook.id === id) {
+                loadNotebook(id);
+            }
+        } catch (err) {
+            reportNotebookChangeError(err, 'move notebook');
+        }
+    }
+
+    /**
+     * Delete a notebook after confirmation
+     */
+    async function deleteNotebook(id) {
+        const notebook = notebooks.find(nb => nb.id === id);
+        if (!notebook || !requireGitHub()) return;
+
+        const backlinks = await findBacklinks(id);
+        const linkWarning = backlinks.length > 0
+            ? `\n\n${backlinks.length} notebook(s) link to it; those links will be broken.`
+            : '';
+        if (!confirm(`Delete "${notebookTitle(notebook)}"? It stays in the repository history but disappears from the app.${linkWarning}`)) {
+            return;
+        }
+
+        try {
+            // Load it first so the delete fails if it changed since it was read
+            await fetchNotebookContent(id);
+            const index = await GitHub.deleteNotebook(id, notebookShas.get(id));
+
+            notebookContents.delete(id);
+            notebookShas.delete(id);
+            unlockedTitles.delete(id);
+            Search.removeNotebook(id);
+            applyNotebookIndex(index);
+
+            // Saving from the editor now creates a new notebook
+            const editing = Editor.getCurrentNotebook();
+            if (editing && editing.id === id) {
+                Editor.setCurrentNotebook(null, null, null);
+            }
+
+            if (currentNotebook && currentNotebook.id === id) {
+                currentNotebook = null;
+                loadInitialContent();
+                if (currentView === 'reader') {
+                    updateHeader('reader');
+                }
+            }
+        } catch (err) {
+            reportNotebookChangeError(err, 'delete notebook');
+        }
+    }
+
+    /**
+     * Encrypt a notebook with a new passphrase, or store it as plain
+     * markdown again. The file moves between .md and .md.enc in one commit.
+     */
+    async function setNotebookEncryption(id, encrypt) {
+        const notebook = notebooks.find(nb => nb.id === id);
+        if (!notebook || Boolean(notebook.encrypted) === encrypt || !requireGitHub()) return;
+
+        try {
+            const content = await readNotebook(id);
+            if (content === null) {
+                throw new Error(notebook.encrypted
+                    ? 'Open the notebook and unlock it first'
+                    : 'The notebook could not be loaded');
+            }
+
+            let stored = content;
+            let hideTitle = false;
+            if (encrypt) {
+                const choice = await askPassphrase(
+                    `Encrypt "${notebook.title}"`,
+                    'The notebook is encrypted in your browser and only the encrypted text is committed. ' +
+                    'Earlier versions stay readable in the repository history, the file keeps its name, and attachments are not encrypted.'
+                );
+                if (!choice) return;
+
+                stored = await Encryption.encrypt(id, content, choice.passphrase);
+                hideTitle = choice.hideTitle;
+            } else if (!confirm(`Remove encryption from "${notebookTitle(notebook)}"? It will be saved as plain markdown that anyone with access to the repository can read.`)) {
+                return;
+            }
+
+            const metadata = Markdown.extractMetadata(content);
+            const { queued } = await Sync.commit('saveNotebook', [id, stored, metadata.title, metadata.tags, notebook.folder || null, {
+                createdAt: metadata.createdAt,
+                aliases: metadata.aliases,
+                properties: metadata.properties,
+                encrypted: encrypt,
+                hideTitle
+            }, notebookShas.get(id), `${encrypt ? 'Encrypt' : 'Decrypt'} notebook: ${hideTitle ? id : metadata.title}`], `${encrypt ? 'Encrypt' : 'Decrypt'} ${metadata.title}`);
+
+            const entry = hideTitle
+                ? { id, title: id, tags: [], folder: notebook.folder || null, encrypted: true, hideTitle }
+                : { id, title: metadata.title, tags: metadata.tags, folder: notebook.folder || null, aliases: metadata.aliases, encrypted: encrypt, hideTitle };
+            if (hideTitle) {
+                unlockedTitles.set(id, metadata.title);
+            } else {
+                unlockedTitles.delete(id);
+            }
+            const sha = await recordSavedNotebook(entry, stored);
+
+            // Drafts are plain text, so an encrypted notebook keeps none
+            const editing = Editor.getCurrentNotebook();
+            if (editing && editing.id === id) {
+                Editor.setCurrentNotebook(id, editing.title, { content, sha }, encrypt);
+            }
+            if (encrypt) {
+                await deleteNotebookDrafts(id);
+            }
+
+            if (queued) {
+                upsertLocalNotebook(entry);
+            } else {
+                await loadNotebooks();
+            }
+            if (currentNotebook && currentNotebook.id === id) {
+                loadNotebook(id);
+            }
+        } catch (err) {
+            reportNotebookChangeError(err, encrypt ? 'encrypt notebook' : 'remove encryption');
+        }
+    }
+
+    /**
+     * Render the tag list in sidebar
+     */
+    function renderTagList(tags) {
+        const list = document.getElementById('tag-list');
+        if (!list) return;
+
+        if (tags.length === 0) {
+            list.innerHTML = '<li class="nav-item"><span class="nav-link" style="color: var(--color-text-muted)">No tags yet</span></li>';
+            return;
+        }
+
+        const escape = Markdown.escapeHtml;
+        list.innerHTML = tags.map(tag => `
+            <li class="nav-item">
+                <a href="#" class="nav-link" data-tag="${escape(tag)}">
+                    <span style="color: var(--color-accent)">#</span>
+                    <span>${escape(tag)}</span>
+                    <span class="nav-count">${notebooks.filter(nb => (nb.tags || []).includes(tag)).length}</span>
+                </a>
+                <button class="nav-action" data-tag-rename="${escape(tag)}" title="Rename or merge tag">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/>
+                    </svg>
+                </button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Rename a tag, or merge it into another, rewriting every note that uses it
+     */
+    async function renameTag(from) {
+        if (!GitHub.isConfigured()) {
+            alert('Please configure GitHub settings first');
+            openSettings();
+            return;
+        }
+
+        const input = prompt(`Rename #${from} to:`, from);
+        if (input === null) return;
+
+        const to = input.trim().replace(/^#/, '').toLowerCase();
+        if (!to || to === from) return;
+        if (!Markdown.isValidTag(to)) {
+            alert('Tags must start with a letter and contain only letters, numbers, - and _');
+            return;
+        }
+
+        // Encrypted notebooks can't be rewritten here, so they keep the old tag
+        const affected = notebooks.filter(nb => !nb.encrypted && (nb.tags || []).includes(from));
+        const merging = notebooks.some(nb => (nb.tags || []).includes(to));
+        const action = merging ? `Merge #${from} into #${to}` : `Rename #${from} to #${to}`;
+        if (!confirm(`${action}? This rewrites ${affected.length} notebook(s).`)) {
+            return;
+        }
+
+        try {
+            const tagsById = {};
+            const rewritten = new Map();
+
+            for (const nb of affected) {
+                const content = await fetchNotebookContent(nb.id);
+                if (!content) continue;
+
+                const updated = Markdown.replaceTag(content, from, to);
+                if (updated !== content) {
+                    rewritten.set(nb.id, updated);
+                }
+                tagsById[nb.id] = Markdown.extractTags(updated);
+            }
+
+            // Every rewritten note and the index go out as one commit, which
+            // fails if a note changed on GitHub since it was read
+            const files = [...rewritten].map(([id, content]) => ({
+                path: notebookPath(id),
+                content,
+                baseSha: notebookShas.get(id)
+            }));
+            const index = await GitHub.updateNotebookTags(tagsById, action, files);
+
+            for (const [id, content] of rewritten) {
+                notebookContents.set(id, content);
+                notebookShas.set(id, await GitHub.blobSha(content));
+            }
+            affected.forEach(nb => {
+                const content = notebookContents.get(nb.id);
+                if (content) {
+                    Search.indexNotebook({ ...nb, tags: tagsById[nb.id], sha: notebookShas.get(nb.id) }, content);
+                }
+            });
+
+            notebooks = index.notebooks;
+            Markdown.setNotebooks(notebooks);
+            renderNotebookList();
+            renderTagList(index.tags);
+
+            // Show the rewritten note if it is open
+            if (currentNotebook && tagsById[currentNotebook.id]) {
+                loadNotebook(currentNotebook.id);
+            }
+        } catch (err) {
+            reportNotebookChangeError(err, 'rename tag');
+        }
+    }
+
+    /**
+     * Filter the notebook list by tag
+     */
+    function filterByTag(tag) {
+        const searchInput = document.getElementById('search-input');
+        if (!searchInput) return;
+
+        searchInput.value = `tag:${tag} `;
+        handleSearch({ target: searchInput });
+    }
+
+    /**
+     * Load whiteboards from whiteboards/_index.json
+     */
+    async function loadWhiteboards() {
+        try {
+            const response = await fetch('whiteboards/_index.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load whiteboard index: ${response.status}`);
+            }
+
+            const data = await response.json();
+            whiteboards = data.whiteboards || [];
+            Sync.mirrorIndex('whiteboards', data);
+        } catch (err) {
+            console.warn('Could not load whiteboards:', err);
+            whiteboards = [];
+
+            // Fall back to the GitHub API, then to the offline mirror
+            let data = null;
+            if (GitHub.isConfigured()) {
+                try {
+                    const file = await GitHub.getFile('whiteboards/_index.json');
+                    if (file) {
+                        data = JSON.parse(file.content);
+                        Sync.mirrorIndex('whiteboards', data);
+                    }
+                } catch (githubErr) {
+                    console.error('GitHub fetch also failed:', githubErr);
+                }
+            }
+
+            data = data || await Sync.getIndex('whiteboards');
+            whiteboards = data ? data.whiteboards || [] : [];
+        }
+
+        renderWhiteboardList();
+    }
+
+    /**
+     * Render the saved whiteboard list in sidebar
+     */
+    function renderWhiteboardList() {
+        const list = document.getElementById('whiteboard-list');
+        if (!list) return;
+
+        if (whiteboards.length === 0) {
+            list.innerHTML = '<li class="nav-item"><span class="nav-link" style="color: var(--color-text-muted)">No whiteboards yet</span></li>';
+            return;
+        }
+
+        const current = Whiteboard.getCurrentBoard();
+        const escape = Markdown.escapeHtml;
+        list.innerHTML = whiteboards.map(wb => `
+            <li class="nav-item">
+                <a href="#" class="nav-link${current && current.id === wb.id ? ' active' : ''}" data-whiteboard="${escape(wb.id)}">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="3" y="3" width="18" height="18" rx="2"/>
+                        <path d="M3 9h18"/>
+                        <path d="M9 21V9"/>
+                    </svg>
+                    <span>${escape(wb.title)}</span>
+                </a>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Load a saved whiteboard into the canvas for editing
+     */
+    async function loadWhiteboard(id) {
+        try {
+            // Embedded boards may not be in the index yet; fall back to the ID
+            const whiteboard = whiteboards.find(wb => wb.id === id);
+            let scene = null;
+
+            // Try fetching from local path first
+            try {
+                const response = await fetch(`whiteboards/${id}.json`);
+                if (response.ok) {
+                    scene = await response.json();
+                }
+            } catch (fetchErr) {
+                console.warn('Local fetch failed:', fetchErr);
+            }
+
+            // If local fetch failed and GitHub is configured, try GitHub API
+            if (!scene && GitHub.isConfigured()) {
+                try {
+                    const file = await GitHub.getFile(`whiteboards/${id}.json`);
+                    if (file) {
+                        scene = JSON.parse(file.content);
+                    }
+                } catch (githubErr) {
+                    console.warn('GitHub fetch failed:', githubErr);
+                }
+            }
+
+            // Offline: fall back to the mirrored copy
+            if (!scene) {
+                scene = await Sync.getWhiteboard(id);
+            }
+
+            if (!scene) {
+                throw new Error('Failed to load whiteboard content');
+            }
+
+            Sync.mirrorWhiteboard(id, scene);
+            Whiteboard.loadScene(scene);
+            Whiteboard.setCurrentBoard(id, whiteboard ? whiteboard.title : (scene.title || id));
+
+            showView('whiteboard');
+            renderWhiteboardList();
+
+        } catch (err) {
+            console.error('Error loading whiteboard:', err);
+            alert('Could not open whiteboard: ' + err.message);
+        }
+    }
+
+    /**
+     * Start a new, empty whiteboard
+     */
+    function newWhiteboard() {
+        if (!Whiteboard.isEmpty() && !confirm('Start a new whiteboard? Unsaved changes will be lost.')) {
+            return;
+        }
+
+        Whiteboard.newBoard();
+        updateHeader('whiteboard');
+        renderWhiteboardList();
+    }
+
+    /**
+     * Path of a notebook's file, encrypted or not
+     */
+    function notebookPath(id) {
+        return GitHub.notebookPath(notebooks.find(nb => nb.id === id) || { id });
+    }
+
+    /**
+     * Fetch a notebook's file as stored (local path first, then GitHub
+     * API). Encrypted notebooks come back armored; see readNotebook().
+     */
+    async function fetchNotebookContent(id) {
+        if (notebookContents.has(id)) {
+            return notebookContents.get(id);
+        }
+
+        let content = null;
+
+        // Try fetching from local path first
+        try {
+            const response = await fetch(notebookPath(id));
+            if (response.ok) {
+                content = await response.text();
+            }
+        } catch (fetchErr) {
+            console.warn('Local fetch failed:', fetchErr);
+        }
+
+        // If local fetch failed and GitHub is configured, try GitHub API
+        let sha = null;
+        if (!content && GitHub.isConfigured()) {
+            try {
+                const file = await GitHub.getFile(notebookPath(id));
+                if (file) {
+                    content = file.content;
+                    sha = file.sha;
+                }
+            } catch (githubErr) {
+                console.warn('GitHub fetch failed:', githubErr);
+            }
+        }
+
+        // Offline: fall back to the mirrored copy
+        if (!content) {
+            const mirrored = await Sync.getNotebook(id);
+            if (mirrored) {
+                content = mirrored.content;
+                sha = mirrored.sha;
+            }
+        }
+
+        if (content) {
+            notebookContents.set(id, content);
+
+            // Remember which version was read so saves can detect conflicts
+            try {
+                sha = sha || await GitHub.blobSha(content);
+                notebookShas.set(id, sha);
+            } catch (hashErr) {
+                console.warn('Could not hash notebook:', hashErr);
+            }
+            Sync.mirrorNotebook(id, content, sha);
+        }
+        return content;
+    }
+
+    /**
+     * Fetch a notebook's markdown, decrypting it if it's encrypted
+     * @returns {Promise<string|null>} null if it can't be loaded, or is
+     *   encrypted and no passphrase entered this session opens it
+     */
+    async function readNotebook(id) {
+        const content = await fetchNotebookContent(id);
+        return Encryption.isArmored(content) ? Encryption.open(id, content) : content;
+    }
+
+    /**
+     * Load a specific notebook
+     * @param {string} id - Notebook ID
+     * @param {string} [heading] - Heading anchor to scroll to
+     */
+    async function loadNotebook(id, heading = '') {
+        try {
+            const notebook = notebooks.find(nb => nb.id === id);
+            if (!notebook) {
+                console.error('Notebook not found:', id);
+                return;
+            }
+
+            const stored = await fetchNotebookContent(id);
+            if (!stored) {
+                throw new Error('Failed to load notebook content');
+            }
+
+            const content = await readNotebook(id);
+            const container = document.getElementById('markdown-content');
+            if (content === null) {
+                currentNotebook = { ...notebook, content: null, sha: notebookShas.get(id), locked: true };
+                renderLockedNotebook(notebook, container, heading);
+                showView('reader');
+                document.querySelectorAll('[data-notebook]').forEach(link => {
+                    link.classList.toggle('active', link.dataset.notebook === id);
+                });
+                return;
+            }
+
+            if (notebook.hideTitle) {
+                // The real title is only ever shown, never written to the index
+                const { title } = Markdown.extractMetadata(content);
+                if (unlockedTitles.get(id) !== title) {
+                    unlockedTitles.set(id, title);
+                    renderNotebookList();
+                }
+            } else if (!notebook.encrypted) {
+                applyFrontMatter(notebook, content);
+            }
+            currentNotebook = { ...notebook, title: notebookTitle(notebook), content, sha: notebookShas.get(id) };
+
+            // Add to recent
+            Storage.addToRecent(notebook);
+
+            // Render markdown
+            Markdown.render(content, container, { path: notebookPath(id) });
+
+            // Update header
+            showView('reader');
+
+            // Update active state in nav
+            document.querySelectorAll('[data-notebook]').forEach(link => {
+                link.classList.toggle('active', link.dataset.notebook === id);
+            });
+
+            scrollToHeading(heading);
+            renderBacklinks(notebook);
+
+        } catch (err) {
+            console.error('Error loading notebook:', err);
+        }
+    }
+
+    /**
+     * Show an encrypted notebook's locked state: a passphrase form that
+     * loads the notebook once it opens
+     */
+    function renderLockedNotebook(notebook, container, heading) {
+        container.innerHTML = `
+            <div class="notebook-locked">
+                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+                    <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+                </svg>
+                <h2>This notebook is encrypted</h2>
+                <p>Enter its passphrase to read or edit it. The passphrase is kept in memory until you close the app.</p>
+                <form id="notebook-unlock-form">
+                    <input type="password" id="notebook-passphrase" placeholder="Passphrase" autocomplete="current-password" required>
+                    <button type="submit" class="btn btn-primary">Unlock</button>
+                </form>
+                <p class="notebook-locked-error" id="notebook-unlock-error"></p>
+            </div>
+        `;
+        document.getElementById('backlinks-panel')?.classList.add('hidden');
+
+        const form = document.getElementById('notebook-unlock-form');
+        const input = document.getElementById('notebook-passphrase');
+        const error = document.getElementById('notebook-unlock-error');
+        input.focus();
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = form.querySelector('button');
+            button.disabled = true;
+            button.textContent = 'Unlocking...';
+            error.textContent = '';
+
+            try {
+                const content = await Encryption.open(notebook.id, await fetchNotebookContent(notebook.id), input.value);
+                if (content !== null) {
+                    await loadNotebook(notebook.id, heading);
+                    return;
+                }
+                error.textContent = 'Wrong passphrase.';
+            } catch (err) {
+                console.error('Failed to unlock notebook:', err);
+                error.textContent = err.message;
+            }
+
+            button.disabled = false;
+            button.textContent = 'Unlock';
+            input.select();
+        });
+    }
+
+    /**
+     * Bring an index entry in line with the notebook's front matter, so
+     * files edited outside the app show their own title, tags and aliases
+     */
+    function applyFrontMatter(notebook, content) {
+        const { data } = Markdown.parseFrontMatter(content);
+        if (Object.keys(data).length === 0) return;
+
+        const metadata = Markdown.extractMetadata(content);
+        const changed = notebook.title !== metadata.title ||
+            (metadata.folder !== undefined && (notebook.folder || null) !== metadata.folder);
+
+        notebook.title = metadata.title;
+        notebook.tags = metadata.tags;
+        notebook.aliases = metadata.aliases;
+        if (metadata.folder !== undefined) {
+            notebook.folder = metadata.folder;
+        }
+        if (metadata.createdAt) {
+            notebook.createdAt = metadata.createdAt;
+        }
+
+        if (changed) {
+            renderNotebookList();
+        }
+    }
+
+    /**
+     * Scroll the reader to a heading anchor
+     */
+    function scrollToHeading(heading) {
+        const target = heading && document.getElementById(Markdown.anchorId(heading));
+        if (target) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * Navigate to the target of a rendered [[wiki link]]
+     */
+    function followWikiLink(link) {
+        if (link.classList.contains('wiki-link-broken')) {
+            return;
+        }
+
+        const id = link.dataset.wikiTarget;
+        const heading = link.dataset.wikiHeading;
+
+        if (!id || (currentNotebook && currentNotebook.id === id)) {
+            scrollToHeading(heading);
+        } else {
+            loadNotebook(id, heading);
+        }
+    }
+
+    /**
+     * Find notebooks whose content links to the given notebook, from the
+     * links recorded in the search index (kept current on load and save)
+     */
+    async function findBacklinks(id) {
+        await searchIndexReady;
+
+        const sources = notebooks.filter(nb => nb.id !== id &&
+            Search.getWikiLinks(nb.id).some(target => {
+                const link = Markdown.resolveWikiLink(target);
+                return link && link.id === id;
+            }));
+
+        return sources.sort((a, b) => a.title.localeCompare(b.title));
+    }
+
+    /**
+     * Render the backlinks panel for the current notebook
+     */
+    async function renderBacklinks(notebook) {
+        const panel = document.getElementById('backlinks-panel');
+        if (!panel) return;
+
+        panel.classList.remove('hidden');
+        panel.innerHTML = `
+            <div class="backlinks-title">Linked from</div>
+            <p class="backlinks-empty">Looking for backlinks...</p>
+        `;
+
+        const sources = await findBacklinks(notebook.id);
+
+        // The reader may have moved on while we were fetching
+        if (!currentNotebook || currentNotebook.id !== notebook.id) return;
+
+        panel.innerHTML = `
+            <div class="backlinks-title">Linked from</div>
+            ${sources.length === 0
+                ? '<p class="backlinks-empty">No other notebooks link here yet.</p>'
+                : `<ul class="backlinks-list">${sources.map(nb => `
+                    <li><a href="#" data-backlink="${Markdown.escapeHtml(nb.id)}">${Markdown.escapeHtml(nb.title)}</a></li>
+                `).join('')}</ul>`}
+        `;
+    }
+
+    /**
+     * Load initial content (welcome or last viewed)
+     */
+    function loadInitialContent() {
+        // Try to load welcome notebook
+        if (notebooks.some(nb => nb.id === 'welcome')) {
+            loadNotebook('welcome');
+        } else if (notebooks.length > 0) {
+            loadNotebook(notebooks[0].id);
+        } else {
+            // Show placeholder content
+            const container = document.getElementById('markdown-content');
+            if (container) {
+                container.innerHTML = `
+                    <h1>Welcome to Moleskine</h1>
+                    <p>Your personal digital notebook.</p>
+                    <p>Get started by:</p>
+                    <ul>
+                        <li>Creating a new note in the <strong>Editor</strong></li>
+                        <li>Drawing on the <strong>Whiteboard</strong></li>
+                        <li>Adding <code>.md</code> files to the <code>notebooks/</code> folder</li>
+                    </ul>
+                `;
+            }
+        }
+    }
+
+    /**
+     * Index any notebooks that are new or changed since the cached index
+     */
+    let searchIndexReady = Promise.resolve();
+    function updateSearchIndex() {
+        searchIndexReady = (async () => {
+            // Blob SHAs tell which notebooks changed; without them
+            // (offline, or no GitHub) Search falls back to updatedAt
+            let shas = new Map();
+            if (GitHub.isConfigured()) {
+                try {
+                    shas = await GitHub.listBlobShas('notebooks');
+                } catch (err) {
+                    console.warn('Could not list notebook SHAs:', err);
+                }
+            }
+
+            // Encrypted notebooks are never indexed, so their text isn't stored in the clear
+            const entries = notebooks
+                .filter(nb => !nb.encrypted)
+                .map(nb => ({ ...nb, sha: shas.get(GitHub.notebookPath(nb)) }));
+            await Search.sync(entries, fetchNotebookContent);
+        })();
+        return searchIndexReady;
+    }
+
+    /**
+     * Handle search input
+     */
+    async function handleSearch(e) {
+        const query = e.target.value.trim();
+
+        if (!query) {
+            renderNotebookList();
+            return;
+        }
+
+        await searchIndexReady;
+
+        // Ignore results for a query the user has already typed past
+        if (e.target.value.trim() !== query) return;
+
+        const results = Search.search(e.target.value);
+
+        const list = document.getElementById('notebook-list');
+        if (!list) return;
+
+        if (results.length === 0) {
+            list.innerHTML = '<li class="nav-item"><span class="nav-link" style="color: var(--color-text-muted)">No matches</span></li>';
+        } else {
+            // Snippets come from Search already escaped, with <mark> highlights
+            const escape = Markdown.escapeHtml;
+            list.innerHTML = results.map(result => `
+                <li class="nav-item">
+                    <a href="#" class="nav-link search-result" data-notebook="${escape(result.id)}" data-heading="${escape(result.heading)}">
+                        <span class="search-result-title">${escape(result.title)}</span>
+                        ${result.headingText ? `<span class="search-result-heading">${escape(result.headingText)}</span>` : ''}
+                        <span class="search-result-snippet">${result.snippet}</span>
+                    </a>
+                </li>
+            `).join('');
+        }
+    }
+
+    /**
+     * Initialize settings modal
+     */
+    function initSettingsModal() {
+        const modal = document.getElementById('settings-modal');
+        const closeBtn = document.getElementById('settings-close');
+        const backdrop = modal?.querySelector('.modal-backdrop');
+        const testBtn = document.getElementById('github-test');
+        const saveBtn = document.getElementById('github-save');
+
+        // Close modal handlers
+        closeBtn?.addEventListener('click', closeSettings);
         backdrop?.addEventListener('click', closeSettings);
 
         // Test connection
@@ -502,18 +1830,15 @@ const App = (function() {
             const ownerInput = document.getElementById('github-owner');
             const repoInput = document.getElementById('github-repo');
 
-            // Temporarily save for testing
-            if (tokenInput.value) {
-                GitHub.setToken(tokenInput.value);
-            }
-            if (ownerInput.value && repoInput.value) {
-                GitHub.setRepoConfig(ownerInput.value, repoInput.value);
-            }
-
             statusEl.className = 'settings-status info';
             statusEl.textContent = 'Testing connection...';
 
-            const result = await GitHub.testConnection();
+            // Test what was typed without saving it; Save does that
+            const result = await GitHub.testConnection({
+                token: tokenInput.value,
+                owner: ownerInput.value,
+                repo: repoInput.value
+            });
             if (result.success) {
                 statusEl.className = 'settings-status success';
                 statusEl.textContent = 'Connection successful!';
@@ -524,17 +1849,24 @@ const App = (function() {
         });
 
         // Save settings
-        saveBtn?.addEventListener('click', () => {
+        saveBtn?.addEventListener('click', async () => {
             const tokenInput = document.getElementById('github-token');
             const ownerInput = document.getElementById('github-owner');
             const repoInput = document.getElementById('github-repo');
             const statusEl = document.getElementById('github-status');
 
-            if (tokenInput.value) {
-                GitHub.setToken(tokenInput.value);
-            }
-            if (ownerInput.value && repoInput.value) {
-                GitHub.setRepoConfig(ownerInput.value, repoInput.value);
+            try {
+                if (tokenInput.value) {
+                    await GitHub.setToken(tokenInput.value);
+                }
+                if (ownerInput.value && repoInput.value) {
+                    await GitHub.setRepoConfig(ownerInput.value, repoInput.value);
+                }
+            } catch (err) {
+                console.error('Failed to save GitHub settings:', err);
+                statusEl.className = 'settings-status error';
+                statusEl.textContent = 'Could not save settings: ' + err.message;
+                return;
             }
 
             statusEl.className = 'settings-status success';
@@ -547,6 +1879,178 @@ const App = (function() {
                 closeSettings();
             }, 1000);
         });
+
+        // Rebuild the notebook index from the repository
+        document.getElementById('reindex-btn')?.addEventListener('click', reindexNotebooks);
+
+        document.getElementById('password-change-btn')?.addEventListener('click', changePassword);
+    }
+
+    /**
+     * Change the login password from the settings modal
+     */
+    async function changePassword() {
+        const currentInput = document.getElementById('current-password');
+        const newInput = document.getElementById('new-password');
+        const confirmInput = document.getElementById('confirm-password');
+        const statusEl = document.getElementById('password-status');
+        const changeBtn = document.getElementById('password-change-btn');
+
+        const setStatus = (type, text) => {
+            statusEl.className = `settings-status ${type}`;
+            statusEl.textContent = text;
+        };
+
+        if (newInput.value !== confirmInput.value) {
+            setStatus('error', 'New passwords do not match.');
+            return;
+        }
+
+        changeBtn.disabled = true;
+        setStatus('info', 'Re-encrypting saved settings...');
+
+        try {
+            await Auth.changePassword(currentInput.value, newInput.value);
+            [currentInput, newInput, confirmInput].forEach(input => { input.value = ''; });
+            setStatus('success', 'Password changed.');
+        } catch (err) {
+            setStatus('error', err.message);
+        } finally {
+            changeBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Rebuild notebooks/_index.json from the markdown files in the repo.
+     * Subfolders of notebooks/ become folders; titles, tags and other
+     * metadata are read from each file; the result is saved in one commit.
+     * Encrypted (.md.enc) files keep what the old index says about them.
+     */
+    async function reindexNotebooks() {
+        const statusEl = document.getElementById('reindex-status');
+        const reindexBtn = document.getElementById('reindex-btn');
+        const setStatus = (type, text) => {
+            statusEl.className = `settings-status ${type}`;
+            statusEl.textContent = text;
+        };
+
+        if (!GitHub.isConfigured()) {
+            setStatus('error', 'Configure GitHub sync first.');
+            return;
+        }
+
+        reindexBtn.disabled = true;
+
+        try {
+            setStatus('info', 'Listing notebook files...');
+            const files = (await GitHub.listFilesRecursive('notebooks'))
+                .filter(file => file.name.endsWith('.md') || file.name.endsWith('.md.enc'));
+
+            const indexFile = await GitHub.getFile('notebooks/_index.json');
+            const oldIndex = indexFile ? JSON.parse(indexFile.content) : { notebooks: [] };
+            const oldEntries = new Map(oldIndex.notebooks.map(nb => [nb.id, nb]));
+            const today = new Date().toISOString().split('T')[0];
+            const entries = [];
+
+            for (const [i, file] of files.entries()) {
+                setStatus('info', `Reading ${i + 1} of ${files.length}: ${file.path}`);
+
+                const id = file.path.replace(/^notebooks\//, '').replace(/\.md(\.enc)?$/, '');
+                const existing = oldEntries.get(id);
+
+                if (file.name.endsWith('.enc')) {
+                    const slash = id.lastIndexOf('/');
+                    const entry = {
+                        ...existing,
+                        id,
+                        title: existing?.title || id,
+                        tags: existing?.tags || [],
+                        createdAt: existing?.createdAt || today,
+                        updatedAt: existing?.updatedAt || today,
+                        folder: existing?.folder || (slash >= 0 ? id.slice(0, slash) : null),
+                        encrypted: true
+                    };
+                    entries.push(entry);
+                    notebookContents.delete(id);
+                    notebookShas.delete(id);
+                    Search.removeNotebook(id);
+                    continue;
+                }
+
+                const source = await GitHub.getFile(file.path);
+                const content = source ? source.content : '';
+                const metadata = Markdown.extractMetadata(content);
+
+                // Files in subfolders live in that folder; root files keep their folder
+                const slash = id.lastIndexOf('/');
+                let folder = slash >= 0 ? id.slice(0, slash) : (existing?.folder || null);
+                if (metadata.folder !== undefined) {
+                    folder = metadata.folder;
+                }
+
+                const entry = {
+                    id,
+                    title: metadata.title,
+                    tags: metadata.tags,
+                    createdAt: metadata.createdAt || existing?.createdAt || today,
+                    updatedAt: existing?.updatedAt || today,
+                    folder
+                };
+                if (metadata.aliases.length > 0) {
+                    entry.aliases = metadata.aliases;
+                }
+                if (Object.keys(metadata.properties).length > 0) {
+                    entry.properties = metadata.properties;
+                }
+
+                entries.push(entry);
+                if (source) {
+                    // Later edits start from this version, so saves can detect conflicts
+                    notebookContents.set(id, content);
+                    notebookShas.set(id, source.sha);
+                }
+                Search.indexNotebook({ ...entry, sha: file.sha }, content);
+            }
+
+            const ids = new Set(entries.map(nb => nb.id));
+            const added = entries.filter(nb => !oldEntries.has(nb.id)).length;
+            const removed = oldIndex.notebooks.filter(nb => !ids.has(nb.id)).length;
+
+            // Keep the existing order so the index diff stays readable
+            const order = oldIndex.notebooks.map(nb => nb.id);
+            const rank = nb => (order.includes(nb.id) ? order.indexOf(nb.id) : order.length);
+            entries.sort((a, b) => rank(a) - rank(b) || a.id.localeCompare(b.id));
+
+            const index = {
+                ...oldIndex,
+                notebooks: entries,
+                tags: GitHub.collectTags(entries)
+            };
+
+            // Fails with a 409 if the index was changed elsewhere while reading
+            setStatus('info', 'Saving index...');
+            await GitHub.commitFiles([{
+                path: 'notebooks/_index.json',
+                content: JSON.stringify(index, null, 2),
+                baseSha: indexFile ? indexFile.sha : null
+            }], `Reindex notebooks (${added} added, ${removed} removed)`);
+
+            notebooks = index.notebooks;
+            Markdown.setNotebooks(notebooks);
+            renderNotebookList();
+            renderTagList(index.tags);
+
+            setStatus('success', `Indexed ${entries.length} notebooks: ${added} added, ${removed} removed.`);
+        } catch (err) {
+            if (err.status === 409) {
+                setStatus('error', 'The notebook index was changed on GitHub while reindexing. Please try again.');
+                return;
+            }
+            console.error('Reindex failed:', err);
+            setStatus('error', 'Reindex failed: ' + err.message);
+        } finally {
+            reindexBtn.disabled = false;
+        }
     }
 
     /**
@@ -585,53 +2089,356 @@ const App = (function() {
     /**
      * Edit the currently viewed notebook
      */
-    function editCurrentNotebook() {
+    async function editCurrentNotebook() {
         if (!currentNotebook) return;
+        const notebook = currentNotebook;
+
+        // Pick up unsaved changes to this notebook rather than starting over.
+        // Encrypted notebooks have none: they aren't kept as drafts.
+        const draft = notebook.encrypted ? null : await findNotebookDraft(notebook);
+        if (draft && confirm(`You have unsaved changes to "${notebook.title}" from ${formatDraftDate(draft.updatedAt)}. Continue editing them?\n\nCancel starts again from the saved version.`)) {
+            await Editor.loadDraft(draft.id);
+        } else {
+            // Starting again replaces the unsaved changes
+            if (draft) {
+                await Storage.deleteDraft(draft.id).catch(err => console.warn('Could not delete draft:', err));
+            }
 
-        // Load content into editor
-        Editor.setContent(currentNotebook.content);
-        Editor.setCurrentNotebook(currentNotebook.id, currentNotebook.title);
+            // Load content into editor as a new draft
+            Editor.newDraft();
+            Editor.setContent(notebook.content);
+            Editor.setCurrentNotebook(notebook.id, notebook.title, {
+                content: notebook.content,
+                sha: notebook.sha
+            }, Boolean(notebook.encrypted));
+        }
 
         // Switch to editor view
         showView('editor');
     }
 
     /**
-     * Save current editor content to GitHub
+     * Delete every draft of a notebook, including the one open in the editor
+     */
+    async function deleteNotebookDrafts(id) {
+        if (Editor.getCurrentNotebook()?.id === id) {
+            await Editor.discardDraft();
+        }
+
+        try {
+            const drafts = await Storage.getDrafts();
+            for (const [draftId, draft] of Object.entries(drafts)) {
+                if (draft.notebook?.id === id) {
+                    await Storage.deleteDraft(draftId);
+                }
+            }
+        } catch (err) {
+            console.warn('Could not delete drafts:', err);
+        }
+    }
+
+    /**
+     * Find the most recent draft of a notebook that differs from its saved content
+     */
+    async function findNotebookDraft(notebook) {
+        try {
+            const drafts = await Storage.getDrafts();
+            return Object.entries(drafts)
+                .map(([id, draft]) => ({ id, ...draft }))
+                .filter(draft => draft.notebook?.id === notebook.id && draft.content !== notebook.content)
+                .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0] || null;
+        } catch (err) {
+            console.warn('Could not check for drafts:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Format a draft's updated time for display
+     */
+    function formatDraftDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? 'an unknown time' : date.toLocaleString();
+    }
+
+    /**
+     * Render the drafts panel: every local draft, the notebook it edits and
+     * whether it has changes that aren't on GitHub yet
+     */
+    async function renderDrafts() {
+        const panel = document.getElementById('drafts-panel');
+        if (!panel) return;
+
+        await Editor.flushDraft();
+
+        let drafts;
+        try {
+            drafts = Object.entries(await Storage.getDrafts())
+                .map(([id, draft]) => ({ id, ...draft }))
+                .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        } catch (err) {
+            console.error('Failed to load drafts:', err);
+            panel.innerHTML = '<p class="drafts-empty">Could not load drafts from this device.</p>';
+            return;
+        }
+
+        if (drafts.length === 0) {
+            panel.innerHTML = '<p class="drafts-empty">No drafts yet. Anything you write in the editor is kept here until you delete it.</p>';
+            return;
+        }
+
+        const statuses = await Promise.all(drafts.map(getDraftStatus));
+        const openId = Editor.getCurrentDraftId();
+
+        panel.innerHTML = `<ul class="draft-list">${drafts
+            .map((draft, i) => renderDraftItem(draft, statuses[i], draft.id === openId))
+            .join('')}</ul>`;
+    }
+
+    /**
+     * Compare a draft with the notebook it edits
+     * @returns {{state: string, label: string}} state is one of new, saved,
+     *   unsaved, conflict, missing or unknown
+     */
+    async function getDraftStatus(draft) {
+        if (!draft.notebook) {
+            return { state: 'new', label: 'Not on GitHub' };
+        }
+
+        const id = draft.notebook.id;
+        if (!notebooks.some(nb => nb.id === id)) {
+            return { state: 'missing', label: 'Notebook deleted' };
+        }
+
+        if (await fetchNotebookContent(id) === null) {
+            return { state: 'unknown', label: 'Notebook unavailable' };
+        }
+        const content = await readNotebook(id);
+        if (content === null) {
+            return { state: 'unknown', label: 'Notebook locked' };
+        }
+        if (content === draft.content) {
+            return { state: 'saved', label: 'Saved' };
+        }
+
+        const baseSha = draft.notebook.base?.sha;
+        const currentSha = notebookShas.get(id);
+        if (baseSha && currentSha && baseSha !== currentSha) {
+            return { state: 'conflict', label: 'Unsaved · changed on GitHub' };
+        }
+        return { state: 'unsaved', label: 'Unsaved changes' };
+    }
+
+    /**
+     * Render a single draft in the drafts panel
+     */
+    function renderDraftItem(draft, status, isOpen) {
+        const escape = Markdown.escapeHtml;
+        const notebook = draft.notebook
+            ? `Edits <a href="#" data-draft-notebook="${escape(draft.notebook.id)}">${escape(draft.notebook.title || draft.notebook.id)}</a>`
+            : 'New note';
+        const canDiscard = status.state === 'unsaved' || status.state === 'conflict';
+
+        return `
+            <li class="draft-item${isOpen ? ' active' : ''}" data-draft="${escape(draft.id)}">
+                <div class="draft-info">
+                    <a href="#" class="draft-title" data-draft-action="open">${escape(draft.title || 'Untitled')}</a>
+                    <div class="draft-meta">
+                        <span>Updated ${escape(formatDraftDate(draft.updatedAt))}</span>
+                        <span>${notebook}</span>
+                        ${isOpen ? '<span>Open in editor</span>' : ''}
+                    </div>
+                </div>
+                <span class="draft-status draft-${status.state}">${status.label}</span>
+                <div class="draft-actions">
+                    <button class="btn btn-ghost" data-draft-action="rename">Rename</button>
+                    ${canDiscard ? '<button class="btn btn-ghost" data-draft-action="discard" title="Replace with the version on GitHub">Discard Changes</button>' : ''}
+                    <button class="btn btn-ghost" data-draft-action="delete">Delete</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Open, rename, discard or delete a draft from the drafts panel
+     */
+    async function handleDraftAction(action, id) {
+        const draft = await Storage.getDraft(id);
+        if (!draft) {
+            renderDrafts();
+            return;
+        }
+        const isOpen = Editor.getCurrentDraftId() === id;
+
+        try {
+            if (action === 'open') {
+                await Editor.loadDraft(id);
+                showView('editor');
+                return;
+            }
+
+            if (action === 'rename') {
+                const title = prompt('Rename draft:', draft.title)?.trim();
+                if (!title || title === draft.title) return;
+
+                // The title lives in the content, so later auto-saves keep it
+                await Storage.saveDraft(id, Markdown.setTitle(draft.content, title), title, draft.notebook);
+            } else if (action === 'discard') {
+                if (!confirm(`Discard the changes in "${draft.title}" and go back to the version on GitHub?`)) return;
+
+                const notebookId = draft.notebook.id;
+                const content = await readNotebook(notebookId);
+                if (content === null) {
+                    throw new Error('The notebook could not be loaded or is locked');
+                }
+                await Storage.saveDraft(id, content, Markdown.extractTitle(content), {
+                    ...draft.notebook,
+                    base: { content, sha: notebookShas.get(notebookId) || null }
+                });
+            } else if (action === 'delete') {
+                const warning = draft.notebook ? '' : ' It has never been saved to GitHub.';
+                if (!confirm(`Delete the draft "${draft.title}"?${warning} This can't be undone.`)) return;
+
+                await Storage.deleteDraft(id);
+                if (isOpen) {
+                    Editor.newDraft();
+                }
+            }
+
+            if (isOpen && action !== 'delete') {
+                await Editor.loadDraft(id);
+            }
+        } catch (err) {
+            console.error('Draft action failed:', err);
+            alert('Failed to update draft: ' + err.message);
+        }
+
+        renderDrafts();
+    }
+
+    /**
+     * Ask for a passphrase, then save the editor content encrypted with it
+     */
+    async function saveEncrypted() {
+        if (!Editor.getContent().trim()) {
+            alert('Nothing to save');
+            return;
+        }
+
+        const existingNotebook = Editor.getCurrentNotebook();
+        const existing = existingNotebook && notebooks.find(nb => nb.id === existingNotebook.id);
+        const encryption = await askPassphrase(
+            existing?.encrypted ? 'Change Passphrase' : 'Save Encrypted',
+            existing
+                ? 'The notebook is saved encrypted with this passphrase. Earlier versions stay readable in the repository history, and the file keeps its name.'
+                : 'The notebook is encrypted in your browser before it is saved, so the repository only holds the encrypted text. Attachments are not encrypted.',
+            Boolean(existing?.hideTitle)
+        );
+        if (encryption) {
+            await saveToGitHub(encryption);
+        }
+    }
+
+    /**
+     * Ask for a new passphrase (entered twice) and whether to hide the title
+     * @returns {Promise<{passphrase: string, hideTitle: boolean}|null>} null if cancelled
+     */
+    function askPassphrase(heading, description, hideTitle = false) {
+        const modal = document.getElementById('passphrase-modal');
+        const form = document.getElementById('passphrase-form');
+        if (!modal || !form) {
+            return Promise.resolve(null);
+        }
+
+        const input = document.getElementById('passphrase-input');
+        const confirmInput = document.getElementById('passphrase-confirm');
+        const hideTitleInput = document.getElementById('passphrase-hide-title');
+        const status = document.getElementById('passphrase-status');
+
+        document.getElementById('passphrase-heading').textContent = heading;
+        document.getElementById('passphrase-description').textContent = description;
+        input.value = '';
+        confirmInput.value = '';
+        hideTitleInput.checked = hideTitle;
+        status.className = 'settings-status';
+        modal.classList.remove('hidden');
+        input.focus();
+
+        return new Promise(resolve => {
+            const cancelTargets = [
+                document.getElementById('passphrase-close'),
+                document.getElementById('passphrase-cancel'),
+                modal.querySelector('.modal-backdrop')
+            ].filter(Boolean);
+
+            const finish = (result) => {
+                modal.classList.add('hidden');
+                input.value = '';
+                confirmInput.value = '';
+                form.removeEventListener('submit', handleSubmit);
+                cancelTargets.forEach(el => el.removeEventListener('click', handleCancel));
+                resolve(result);
+            };
+            const handleSubmit = (e) => {
+                e.preventDefault();
+                let error = null;
+                if (input.value.length < MIN_PASSPHRASE_LENGTH) {
+                    error = `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+                } else if (input.value !== confirmInput.value) {
+                    error = "The passphrases don't match.";
+                }
+                if (error) {
+                    status.className = 'settings-status error';
+                    status.textContent = error;
+                    return;
+                }
+                finish({ passphrase: input.value, hideTitle: hideTitleInput.checked });
+            };
+            const handleCancel = () => finish(null);
+
+            form.addEventListener('submit', handleSubmit);
+            cancelTargets.forEach(el => el.addEventListener('click', handleCancel));
+        });
+    }
+
+    /**
+     * Save current editor content to GitHub. Notebooks that are already
+     * encrypted are re-encrypted with the key they were opened with.
+     * @param {Object} [encryption] - Encrypt with a new passphrase instead:
+     *   { passphrase, hideTitle }
      */
-    async function saveToGitHub() {
+    async function saveToGitHub(encryption = null) {
         const content = Editor.getContent();
         if (!content.trim()) {
             alert('Nothing to save');
             return;
         }
 
-        const title = Markdown.extractTitle(content);
+        const metadata = Markdown.extractMetadata(content);
+        const { title, tags } = metadata;
 
         // Use existing notebook ID if editing, otherwise generate from title
+        // (or at random, for a new notebook whose title is hidden)
         const existingNotebook = Editor.getCurrentNotebook();
-        const id = existingNotebook ? existingNotebook.id : (title.toLowerCase()
-            .replace(/[^\w\s-]/g, '')
-            .replace(/\s+/g, '-')
-            .substring(0, 50) || 'untitled');
-
-        // Get existing folder or prompt for one
+        const id = existingNotebook
+            ? existingNotebook.id
+            : encryption?.hideTitle
+                ? 'encrypted-' + Array.from(Vault.randomBytes(4), b => b.toString(16).padStart(2, '0')).join('')
+                : notebookIdFromTitle(title);
+        const existingEntry = existingNotebook && notebooks.find(nb => nb.id === existingNotebook.id);
+        const encrypted = Boolean(encryption || existingEntry?.encrypted);
+        const hideTitle = encryption ? encryption.hideTitle : Boolean(existingEntry?.hideTitle);
+
+        // Front matter folder wins, otherwise keep the existing one or prompt
         let folder = null;
-        if (existingNotebook) {
+        if (metadata.folder !== undefined) {
+            folder = metadata.folder;
+        } else if (existingNotebook) {
             // Keep existing folder when editing
             const existing = notebooks.find(n => n.id === existingNotebook.id);
             folder = existing?.folder || null;
         } else {
-            // Get available folders
-            const existingFolders = [...new Set(notebooks.map(n => n.folder).filter(Boolean))];
-            const folderOptions = existingFolders.length > 0
-                ? `\n\nExisting folders: ${existingFolders.join(', ')}`
-                : '';
-
-            const folderInput = prompt(`Enter folder name (optional, leave blank for root):${folderOptions}`);
-            if (folderInput !== null) {
-                folder = folderInput.trim() || null;
-            }
+            folder = promptForFolder('Enter folder name (optional, leave blank for root):') ?? null;
         }
 
         const saveBtn = document.getElementById('btn-save-github');
@@ -643,47 +2450,242 @@ const App = (function() {
                 saveBtn.disabled = true;
             }
 
-            await GitHub.saveNotebook(id, content, title, [], folder);
+            // A new notebook must not exist yet; an edit must start from the current version
+            const baseSha = existingNotebook ? existingNotebook.base?.sha : null;
+
+            const stored = !encrypted
+                ? content
+                : encryption
+                    ? await Encryption.encrypt(id, content, encryption.passphrase)
+                    : await Encryption.seal(id, content);
+            const meta = {
+                createdAt: metadata.createdAt,
+                aliases: metadata.aliases,
+                properties: metadata.properties
+            };
+            if (encryption) {
+                Object.assign(meta, { encrypted: true, hideTitle });
+            }
+
+            const { queued } = await Sync.commit('saveNotebook', [id, stored, title, tags, folder, meta, baseSha], `Save ${title}`);
+
+            if (hideTitle) {
+                unlockedTitles.set(id, title);
+            }
+            const entry = hideTitle
+                ? { id, title: id, tags: [], folder, encrypted, hideTitle }
+                : { id, title, tags, folder, aliases: metadata.aliases, encrypted };
+
+            // The saved version is the base for the next save
+            const sha = await recordSavedNotebook(entry, stored);
+            Editor.setCurrentNotebook(id, title, { content, sha }, encrypted);
+
+            // Images added to the repo since may have been missing while typing
+            Markdown.forgetMissingAssets();
+
+            // The content is on GitHub (or queued) now; don't leave a copy
+            // in the drafts. Edits typed while saving keep theirs, unless
+            // the notebook is encrypted: its drafts would be plain text.
+            if (encrypted || Editor.getContent() === content) {
+                await Editor.discardDraft();
+            }
 
             if (saveBtn) {
-                saveBtn.textContent = 'Saved!';
+                saveBtn.textContent = queued ? 'Saved offline' : 'Saved!';
                 setTimeout(() => {
                     saveBtn.textContent = originalText;
                     saveBtn.disabled = false;
                 }, 2000);
             }
 
-            // Reload notebooks to show the new one
-            await loadNotebooks();
+            if (queued) {
+                // Show the notebook locally until the queued commit lands
+                upsertLocalNotebook(entry);
+            } else {
+                // Reload notebooks to show the new one
+                await loadNotebooks();
+            }
 
         } catch (err) {
-            console.error('Failed to save:', err);
-            alert('Failed to save: ' + err.message);
             if (saveBtn) {
                 saveBtn.textContent = originalText;
                 saveBtn.disabled = false;
             }
+
+            if (err.status === 409 && !existingNotebook) {
+                alert(`A notebook called "${id}" already exists on GitHub. Open it and edit it, or change the title.`);
+            } else if (err.status === 409 && existingNotebook.base) {
+                await resolveSaveConflict(existingNotebook, content, err.remote, encryption);
+            } else {
+                console.error('Failed to save:', err);
+                alert('Failed to save: ' + err.message);
+            }
+        }
+    }
+
+    /**
+     * Remember a just-saved version of a notebook: cache, mirror and index it
+     * @param {Object} entry - Its index entry
+     * @param {string} content - The file as committed (armored if encrypted)
+     * @returns {Promise<string>} Its blob SHA, the base for the next save
+     */
+    async function recordSavedNotebook(entry, content) {
+        const sha = await GitHub.blobSha(content);
+        notebookContents.set(entry.id, content);
+        notebookShas.set(entry.id, sha);
+        Sync.mirrorNotebook(entry.id, content, sha);
+        if (entry.encrypted) {
+            Search.removeNotebook(entry.id);
+        } else {
+            Search.indexNotebook({ ...entry, sha, updatedAt: new Date().toISOString().split('T')[0] }, content);
+        }
+        return sha;
+    }
+
+    /**
+     * Show the revision history of the current notebook
+     */
+    function showHistory() {
+        if (!currentNotebook) return;
+
+        showView('history');
+        Revisions.show(currentNotebook);
+    }
+
+    /**
+     * Save an old revision of the current notebook as a new commit
+     * @param {string} content - The notebook's markdown at that revision
+     * @param {Object} revision - The commit it comes from ({ sha, message, author, date })
+     */
+    async function restoreRevision(content, revision) {
+        const notebook = currentNotebook;
+        const metadata = Markdown.extractMetadata(content);
+        const { title, tags } = metadata;
+
+        const existing = notebooks.find(nb => nb.id === notebook.id);
+        const folder = metadata.folder !== undefined ? metadata.folder : existing?.folder || null;
+        const encrypted = Boolean(existing?.encrypted);
+        const stored = encrypted ? await Encryption.seal(notebook.id, content) : content;
+
+        let queued;
+        try {
+            ({ queued } = await Sync.commit('saveNotebook', [notebook.id, stored, title, tags, folder, {
+                createdAt: metadata.createdAt,
+                aliases: metadata.aliases,
+                properties: metadata.properties
+            }, notebook.sha, `Restore notebook: ${existing?.hideTitle ? existing.title : title} (from ${revision.sha.slice(0, 7)})`], `Restore ${title}`));
+        } catch (err) {
+            if (err.status !== 409) throw err;
+
+            // Someone saved a newer version; show it rather than overwrite it
+            notebookContents.delete(notebook.id);
+            notebookShas.delete(notebook.id);
+            alert(`"${notebook.title}" was changed on GitHub since you opened it. Check the latest version before restoring.`);
+            await loadNotebook(notebook.id);
+            return;
+        }
+
+        const entry = existing?.hideTitle
+            ? { ...existing, folder }
+            : { id: notebook.id, title, tags, folder, aliases: metadata.aliases, encrypted };
+        if (existing?.hideTitle) {
+            unlockedTitles.set(notebook.id, title);
+        }
+        await recordSavedNotebook(entry, stored);
+
+        if (queued) {
+            upsertLocalNotebook(entry);
+        } else {
+            await loadNotebooks();
         }
+        await loadNotebook(notebook.id);
     }
 
     /**
-     * Save current whiteboard to GitHub
+     * Add or update a notebook in the local list (and its offline mirror)
+     * while its save waits in the sync queue
+     */
+    function upsertLocalNotebook(entry) {
+        const today = new Date().toISOString().split('T')[0];
+        const existing = notebooks.find(nb => nb.id === entry.id);
+
+        if (existing) {
+            Object.assign(existing, entry, { updatedAt: today });
+        } else {
+            notebooks.push({ ...entry, createdAt: today, updatedAt: today });
+        }
+
+        const tags = [...new Set(notebooks.flatMap(nb => nb.tags || []))].sort();
+        Markdown.setNotebooks(notebooks);
+        renderNotebookList();
+        renderTagList(tags);
+        Sync.mirrorIndex('notebooks', { notebooks, folders, tags });
+    }
+
+    /**
+     * Merge the editor's changes with a version committed elsewhere since
+     * the notebook was opened, then save the result
+     * @param {Object} notebook - Editor notebook ({ id, title, base })
+     * @param {string} content - The editor content that failed to save
+     * @param {Object|null} remote - Current file on GitHub ({ content, sha }), null if deleted
+     * @param {Object} [encryption] - New passphrase the save was encrypting with
+     */
+    async function resolveSaveConflict(notebook, content, remote, encryption = null) {
+        let remoteContent = remote ? remote.content : '';
+        if (Encryption.isArmored(remoteContent)) {
+            remoteContent = await Encryption.open(notebook.id, remoteContent);
+            if (remoteContent === null) {
+                alert(`"${notebook.title}" was changed on GitHub and encrypted with a passphrase that hasn't been entered yet. Open it, unlock it and merge your draft again.`);
+                return;
+            }
+        }
+        const result = Diff.merge3(notebook.base.content, content, remoteContent);
+
+        const merged = result.conflicts === 0
+            ? result.text
+            : await Editor.showMergeView(result.chunks);
+        if (merged === null) {
+            return; // Cancelled; the editor still holds the unsaved changes
+        }
+
+        // The remote version is now the base the merged text builds on
+        Editor.setContent(merged);
+        Editor.setCurrentNotebook(notebook.id, notebook.title, {
+            content: remoteContent,
+            sha: remote ? remote.sha : null
+        }, notebook.encrypted);
+
+        await saveToGitHub(encryption);
+    }
+
+    /**
+     * Save current whiteboard to GitHub (scene document + preview PNG)
      */
     async function saveWhiteboardToGitHub() {
         const dataURL = Whiteboard.getDataURL();
-        if (!dataURL) {
+        if (!dataURL || Whiteboard.isEmpty()) {
             alert('Nothing to save');
             return;
         }
 
-        // Prompt for whiteboard name
-        const name = prompt('Enter a name for this whiteboard:', 'whiteboard-' + Date.now());
-        if (!name) return;
+        // Reuse the open board's ID, otherwise prompt for a name
+        let board = Whiteboard.getCurrentBoard();
+        if (!board) {
+            const name = prompt('Enter a name for this whiteboard:', 'whiteboard-' + Date.now());
+            if (!name) return;
 
-        const id = name.toLowerCase()
-            .replace(/[^\w\s-]/g, '')
-            .replace(/\s+/g, '-')
-            .substring(0, 50) || 'whiteboard';
+            const id = name.toLowerCase()
+                .replace(/[^\w\s-]/g, '')
+                .replace(/\s+/g, '-')
+                .substring(0, 50) || 'whiteboard';
+
+            if (whiteboards.some(wb => wb.id === id) &&
+                !confirm(`A whiteboard named "${id}" already exists. Overwrite it?`)) {
+                return;
+            }
+
+            board = { id, title: name };
+        }
 
         const saveBtn = document.getElementById('btn-save-whiteboard');
         const originalText = saveBtn?.textContent;
@@ -697,23 +2699,32 @@ const App = (function() {
             // Extract base64 data (remove the data:image/png;base64, prefix)
             const base64Data = dataURL.replace(/^data:image\/png;base64,/, '');
 
-            // Save the PNG file directly
-            await GitHub.saveFile(
-                `whiteboards/${id}.png`,
-                base64Data,
-                `Add whiteboard: ${name}`,
-                true // isBase64
-            );
+            const scene = Whiteboard.getScene();
+            const { queued } = await Sync.commit('saveWhiteboard',
+                [board.id, board.title, scene, base64Data], `Save whiteboard ${board.title}`);
+            Whiteboard.setCurrentBoard(board.id, board.title);
+            Markdown.forgetAsset(`whiteboards/${board.id}.png`);
+            Sync.mirrorWhiteboard(board.id, { title: board.title, ...scene });
 
             if (saveBtn) {
-                saveBtn.textContent = 'Saved!';
+                saveBtn.textContent = queued ? 'Saved offline' : 'Saved!';
                 setTimeout(() => {
                     saveBtn.textContent = originalText;
                     saveBtn.disabled = false;
                 }, 2000);
             }
 
-            alert(`Whiteboard saved as whiteboards/${id}.png`);
+            document.getElementById('page-title').textContent = board.title;
+
+            if (queued) {
+                if (!whiteboards.some(wb => wb.id === board.id)) {
+                    whiteboards.push({ id: board.id, title: board.title });
+                }
+                renderWhiteboardList();
+            } else {
+                // Reload whiteboards to show the new one
+                await loadWhiteboards();
+            }
 
         } catch (err) {
             console.error('Failed to save whiteboard:', err);
@@ -737,6 +2748,8 @@ const App = (function() {
         showView,
         loadNotebook,
         loadNotebooks,
+        loadWhiteboard,
+        loadWhiteboards,
         toggleTheme,
         openSettings,
         saveToGitHub,
@@ -0,0 +1,86 @@
+/**
+ * Moleskine - Attachments Module
+ * Images and PDFs uploaded to the repo's attachments/ folder
+ */
+
+const Attachments = (function() {
+    const ATTACHMENTS_DIR = 'attachments';
+    const MAX_SIZE = 20 * 1024 * 1024; // 20 MB
+
+    // File types that can be attached, by extension
+    const TYPES = {
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        svg: 'image/svg+xml',
+        pdf: 'application/pdf'
+    };
+
+    /**
+     * Check whether a file can be attached
+     */
+    function isSupported(file) {
+        return Object.values(TYPES).includes(file.type);
+    }
+
+    /**
+     * Hex SHA-256 of file content
+     */
+    async function hashBytes(bytes) {
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Upload a file to attachments/, named by a hash of its content so the
+     * same file is only stored once
+     * @returns {Promise<string>} The attachment's path in the repo
+     */
+    async function upload(file) {
+        if (!isSupported(file)) {
+            throw new Error(`${file.name || 'This file'} is not an image or PDF`);
+        }
+        if (file.size > MAX_SIZE) {
+            throw new Error(`${file.name || 'This file'} is larger than ${MAX_SIZE / 1024 / 1024} MB`);
+        }
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const extension = Object.keys(TYPES).find(ext => TYPES[ext] === file.type);
+        const path = `${ATTACHMENTS_DIR}/${(await hashBytes(bytes)).slice(0, 16)}.${extension}`;
+
+        // Names come from the content, so a file already listed is this one
+        const existing = await GitHub.listBlobShas(ATTACHMENTS_DIR);
+        if (!existing.has(path)) {
+            await GitHub.saveFile(path, Vault.encodeBase64(bytes), `Add attachment: ${file.name || path}`, true);
+        }
+
+        // Previews can show the local copy rather than fetching it back
+        Markdown.cacheAsset(path, file);
+
+        return path;
+    }
+
+    /**
+     * Markdown for an attachment, linked relative to the notebook file
+     * @param {string} path - Attachment path in the repo
+     * @param {string} notebookPath - Path of the notebook linking to it
+     * @param {File} file - The uploaded file (for its name and type)
+     */
+    function markdownFor(path, notebookPath, file) {
+        const depth = notebookPath.split('/').length - 1;
+        const relative = '../'.repeat(depth) + path;
+        const name = (file.name || path.split('/').pop()).replace(/[[\]]/g, '');
+
+        return file.type.startsWith('image/')
+            ? `![${name.replace(/\.[^.]+$/, '')}](${relative})`
+            : `[${name}](${relative})`;
+    }
+
+    // Public API
+    return {
+        isSupported,
+        upload,
+        markdownFor
+    };
+})();
@@ -1,39 +1,165 @@
 /**
  * Moleskine - Authentication Module
- * Simple client-side password gate
+ * Client-side password gate. The password also derives the key that
+ * encrypts the GitHub token and settings stored on this device.
  */
 
 const Auth = (function() {
-    // Default password hash (SHA-256 of 'moleskine')
-    // Change this to your own password hash
+    // SHA-256 of the default password, 'moleskine'. It only gets you as
+    // far as choosing a password of your own.
     const DEFAULT_PASSWORD_HASH = 'd950113d83977940d0160cdc6f59edd3da64ac03b4f7cd896a27921a45cd8fb4';
 
-    const SESSION_KEY = 'moleskine_auth';
-    const HASH_KEY = 'moleskine_password_hash';
+    const SESSION_KEY = 'moleskine_session'; // ID of this tab's key in the sessions store
+    const LOGIN_KEY = 'moleskine_login';     // { salt, iterations, verifier }
+    const HASH_KEY = 'moleskine_password_hash'; // Unsalted hash from older versions
+
+    const MIN_PASSWORD_LENGTH = 8;
+    const KEY_ITERATIONS = 600000; // PBKDF2 rounds for new passwords
+    const SESSION_TTL = 24 * 60 * 60 * 1000; // Forget session keys unused for a day
 
     /**
      * Simple SHA-256 hash function using Web Crypto API
+     * @param {string|Uint8Array} message
      */
     async function sha256(message) {
-        const msgBuffer = new TextEncoder().encode(message);
+        const msgBuffer = typeof message === 'string' ? new TextEncoder().encode(message) : message;
         const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
         const hashArray = Array.from(new Uint8Array(hashBuffer));
         return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
     }
 
     /**
-     * Get the stored password hash or use default
+     * Get the salt and verifier for the password, or null if none is set
+     */
+    function getLoginRecord() {
+        try {
+            return JSON.parse(localStorage.getItem(LOGIN_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the legacy password hash or the default
      */
     function getPasswordHash() {
         return localStorage.getItem(HASH_KEY) || DEFAULT_PASSWORD_HASH;
     }
 
     /**
-     * Set a new password hash
+     * Check whether the default password is still the one in use
+     */
+    function mustChangePassword() {
+        return !getLoginRecord() && getPasswordHash() === DEFAULT_PASSWORD_HASH;
+    }
+
+    /**
+     * Derive the key for a password, and check it against the record
+     * @returns {Promise<CryptoKey|null>} The key, or null if wrong
+     */
+    async function deriveKey(password, record) {
+        const keyBytes = await Vault.deriveBits(password, Vault.decodeBase64(record.salt), record.iterations);
+        return await sha256(keyBytes) === record.verifier ? Vault.importKey(keyBytes) : null;
+    }
+
+    /**
+     * Keep the key for the rest of this tab's session. The non-extractable
+     * CryptoKey goes in IndexedDB, and this tab only keeps its record ID,
+     * so no script can read the key bytes back.
+     */
+    async function startSession(key) {
+        const id = Vault.encodeBase64(Vault.randomBytes());
+        await DB.put('sessions', { id, key, usedAt: Date.now() });
+        sessionStorage.setItem(SESSION_KEY, id);
+        await pruneSessions();
+    }
+
+    /**
+     * Delete session keys from tabs that haven't been used for SESSION_TTL.
+     * Runs at startup, login and when a page is hidden.
+     */
+    async function pruneSessions() {
+        try {
+            const sessions = await DB.getAll('sessions');
+            const expired = sessions.filter(session => Date.now() - session.usedAt > SESSION_TTL);
+            await Promise.all(expired.map(session => DB.remove('sessions', session.id)));
+        } catch (err) {
+            console.error('Could not prune old sessions:', err);
+        }
+    }
+
+    /**
+     * Mark this tab's session as used, so it lasts SESSION_TTL from now
+     */
+    async function touchSession(id) {
+        try {
+            const session = await DB.get('sessions', id);
+            if (session) {
+                await DB.put('sessions', { ...session, usedAt: Date.now() });
+            }
+        } catch (err) {
+            console.error('Could not refresh session:', err);
+        }
+    }
+
+    /**
+     * Store a new salted password and start a session with its key.
+     * Values sealed under oldKey are re-encrypted for the new one.
+     */
+    async function createLogin(password, oldKey = null) {
+        const salt = Vault.randomBytes();
+        const keyBytes = await Vault.deriveBits(password, salt, KEY_ITERATIONS);
+        const key = await Vault.importKey(keyBytes);
+
+        if (oldKey) {
+            await Vault.rekey(oldKey, key);
+        }
+
+        localStorage.setItem(LOGIN_KEY, JSON.stringify({
+            salt: Vault.encodeBase64(salt),
+            iterations: KEY_ITERATIONS,
+            verifier: await sha256(keyBytes)
+        }));
+        localStorage.removeItem(HASH_KEY);
+        await startSession(key);
+    }
+
+    /**
+     * Reject passwords that are too short or the default
+     */
+    async function validatePassword(password) {
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Use at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (await sha256(password) === DEFAULT_PASSWORD_HASH) {
+            throw new Error('Choose a password other than the default');
+        }
+    }
+
+    /**
+     * Set the first password of your own, replacing the default
      */
     async function setPassword(newPassword) {
-        const hash = await sha256(newPassword);
-        localStorage.setItem(HASH_KEY, hash);
+        if (!mustChangePassword()) {
+            throw new Error('Enter your current password to change it');
+        }
+        await validatePassword(newPassword);
+        await createLogin(newPassword);
+        return true;
+    }
+
+    /**
+     * Change the password, re-encrypting everything stored with the old one
+     */
+    async function changePassword(currentPassword, newPassword) {
+        const record = getLoginRecord();
+        const oldKey = record && await deriveKey(currentPassword, record);
+        if (!oldKey) {
+            throw new Error('Current password is incorrect');
+        }
+
+        await validatePassword(newPassword);
+        await createLogin(newPassword, oldKey);
         return true;
     }
 
@@ -41,28 +167,78 @@ const Auth = (function() {
      * Check if user is authenticated
      */
     function isAuthenticated() {
-        return sessionStorage.getItem(SESSION_KEY) === 'true';
+        return sessionStorage.getItem(SESSION_KEY) !== null;
     }
 
     /**
-     * Attempt login with password
+     * Attempt login with password. The default password is accepted but
+     * starts no session until mustChangePassword() has been dealt with.
      */
     async function login(password) {
-        const inputHash = await sha256(password);
-        const storedHash = getPasswordHash();
+        const record = getLoginRecord();
+        if (record) {
+            const key = await deriveKey(password, record);
+            if (!key) {
+                return false;
+            }
+            await startSession(key);
+            return true;
+        }
+
+        if (await sha256(password) !== getPasswordHash()) {
+            return false;
+        }
+
+        // A password set before keys were derived from it: upgrade it
+        if (!mustChangePassword()) {
+            await createLogin(password);
+        }
+        return true;
+    }
 
-        if (inputHash === storedHash) {
-            sessionStorage.setItem(SESSION_KEY, 'true');
+    /**
+     * Load this session's key so stored secrets can be decrypted.
+     * Logs out if the key is missing, expired or unusable.
+     */
+    async function unlock() {
+        try {
+            const id = sessionStorage.getItem(SESSION_KEY);
+
+            // Expired keys, this tab's included, are deleted rather than used
+            await pruneSessions();
+            const session = await DB.get('sessions', id);
+            if (!session) {
+                throw new Error('Session key not found or expired');
+            }
+
+            Vault.unlock(session.key);
+            await touchSession(id);
+            window.addEventListener('pagehide', () => {
+                touchSession(id).then(pruneSessions);
+            });
             return true;
+        } catch (err) {
+            console.error('Could not unlock session:', err);
+            logout();
+            return false;
         }
-        return false;
     }
 
     /**
-     * Log out the user
+     * Log out the user, deleting this session's key
      */
-    function logout() {
+    async function logout() {
+        const id = sessionStorage.getItem(SESSION_KEY);
         sessionStorage.removeItem(SESSION_KEY);
+        Vault.lock();
+
+        if (id) {
+            try {
+                await DB.remove('sessions', id);
+            } catch (err) {
+                console.error('Could not delete session key:', err);
+            }
+        }
         window.location.href = 'index.html';
     }
 
@@ -83,10 +259,13 @@ const Auth = (function() {
     function initAuthForm() {
         const form = document.getElementById('auth-form');
         const passwordInput = document.getElementById('password-input');
+        const changeForm = document.getElementById('password-change-form');
         const errorEl = document.getElementById('auth-error');
 
         if (!form) return;
 
+        pruneSessions();
+
         // If already authenticated, redirect to app
         if (isAuthenticated()) {
             window.location.href = 'app.html';
@@ -102,9 +281,21 @@ const Auth = (function() {
                 return;
             }
 
-            const success = await login(password);
+            let success;
+            try {
+                success = await login(password);
+            } catch (err) {
+                console.error('Login failed:', err);
+                errorEl.textContent = 'Could not start a session: ' + err.message;
+                return;
+            }
 
-            if (success) {
+            if (success && mustChangePassword()) {
+                errorEl.textContent = '';
+                form.classList.add('hidden');
+                changeForm.classList.remove('hidden');
+                document.getElementById('new-password-input').focus();
+            } else if (success) {
                 window.location.href = 'app.html';
             } else {
                 errorEl.textContent = 'Incorrect password';
@@ -112,6 +303,28 @@ const Auth = (function() {
                 passwordInput.focus();
             }
         });
+
+        changeForm?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const newPassword = document.getElementById('new-password-input').value;
+            const confirmPassword = document.getElementById('confirm-password-input').value;
+            const submitBtn = changeForm.querySelector('button[type="submit"]');
+
+            if (newPassword !== confirmPassword) {
+                errorEl.textContent = 'Passwords do not match';
+                return;
+            }
+
+            try {
+                submitBtn.disabled = true;
+                await setPassword(newPassword);
+                window.location.href = 'app.html';
+            } catch (err) {
+                errorEl.textContent = err.message;
+                submitBtn.disabled = false;
+            }
+        });
     }
 
     // Auto-initialize if on auth page
@@ -127,7 +340,10 @@ const Auth = (function() {
         login,
         logout,
         requireAuth,
+        unlock,
+        mustChangePassword,
         setPassword,
+        changePassword,
         sha256
     };
 })();
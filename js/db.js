@@ -0,0 +1,127 @@
+/**
+ * Moleskine - IndexedDB Module
+ * Small promise wrapper around the app's IndexedDB database
+ */
+
+const DB = (function() {
+    const DB_NAME = 'moleskine';
+    const DB_VERSION = 3;
+
+    // Object stores and their key paths
+    const STORES = {
+        notebooks: { keyPath: 'id' },    // Mirrored notebook markdown
+        whiteboards: { keyPath: 'id' },  // Mirrored whiteboard scenes
+        indexes: { keyPath: 'name' },    // Mirrored _index.json files
+        queue: { keyPath: 'id', autoIncrement: true }, // Pending commits
+        drafts: { keyPath: 'id' },       // Editor drafts, one record each
+        cache: { keyPath: 'key' },       // Rebuildable data such as the search index
+        sessions: { keyPath: 'id' }      // Non-extractable login keys, by tab session
+    };
+
+    let dbPromise = null;
+
+    /**
+     * Open (and create or upgrade) the database
+     */
+    function open() {
+        if (dbPromise) {
+            return dbPromise;
+        }
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(STORES).forEach(([name, options]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                });
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version in another tab upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+        });
+
+        // Allow a later retry if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run a request against a store and resolve with its result
+     */
+    async function run(storeName, mode, makeRequest) {
+        const db = await open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = makeRequest(tx.objectStore(storeName));
+
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error || request.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Get a record by key
+     */
+    function get(storeName, key) {
+        return run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Get every record in a store
+     */
+    function getAll(storeName) {
+        return run(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Insert or replace a record; resolves with its key
+     */
+    function put(storeName, value) {
+        return run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    /**
+     * Delete a record by key
+     */
+    function remove(storeName, key) {
+        return run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Delete every record in a store
+     */
+    function clear(storeName) {
+        return run(storeName, 'readwrite', store => store.clear());
+    }
+
+    // Public API
+    return {
+        open,
+        get,
+        getAll,
+        put,
+        remove,
+        clear
+    };
+})();
@@ -0,0 +1,275 @@
+/**
+ * Moleskine - Diff Module
+ * Line diffs and three-way merges of notebook text
+ */
+
+const Diff = (function() {
+    // Largest LCS table to build (Uint32 entries, so 16 MB)
+    const MAX_TABLE_SIZE = 1 << 22;
+
+    /**
+     * Split text into lines for diffing
+     */
+    function splitLines(text) {
+        return text === '' ? [] : text.split('\n');
+    }
+
+    /**
+     * Match lines of a to lines of b along a longest common subsequence
+     * @returns {Array} For each index in a, the matching index in b or -1
+     */
+    function matchLines(a, b) {
+        const matches = new Array(a.length).fill(-1);
+        matchRange(a, b, 0, a.length, 0, b.length, matches);
+        return matches;
+    }
+
+    /**
+     * Match a[startA..endA) to b[startB..endB) into matches. Ranges too big
+     * for an LCS table are split on lines that occur once on each side
+     * (as in patience diff), and a part with none of those is left
+     * unmatched: all deleted and inserted.
+     */
+    function matchRange(a, b, startA, endA, startB, endB, matches) {
+        // Common prefix and suffix match trivially and keep the table small
+        while (startA < endA && startB < endB && a[startA] === b[startB]) {
+            matches[startA++] = startB++;
+        }
+        while (endA > startA && endB > startB && a[endA - 1] === b[endB - 1]) {
+            matches[--endA] = --endB;
+        }
+
+        const rows = endA - startA;
+        const cols = endB - startB;
+        if (rows === 0 || cols === 0) {
+            return;
+        }
+
+        if ((rows + 1) * (cols + 1) <= MAX_TABLE_SIZE) {
+            matchTable(a, b, startA, endA, startB, endB, matches);
+            return;
+        }
+
+        const anchors = uniqueAnchors(a, b, startA, endA, startB, endB);
+        if (anchors.length === 0) {
+            return;
+        }
+
+        let nextA = startA;
+        let nextB = startB;
+        anchors.forEach(([i, j]) => {
+            matchRange(a, b, nextA, i, nextB, j, matches);
+            matches[i] = j;
+            nextA = i + 1;
+            nextB = j + 1;
+        });
+        matchRange(a, b, nextA, endA, nextB, endB, matches);
+    }
+
+    /**
+     * Match ranges along an LCS found with a full dynamic programming table
+     */
+    function matchTable(a, b, startA, endA, startB, endB, matches) {
+        const rows = endA - startA;
+        const cols = endB - startB;
+
+        // lengths[i][j] = LCS length of a[startA + i..endA) and b[startB + j..endB)
+        const width = cols + 1;
+        const lengths = new Uint32Array((rows + 1) * width);
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[startA + i] === b[startB + j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < cols) {
+            if (a[startA + i] === b[startB + j]) {
+                matches[startA + i] = startB + j;
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+    }
+
+    /**
+     * Find lines that occur exactly once in each range, and keep the
+     * longest run of them that is in the same order on both sides
+     * @returns {Array} [indexA, indexB] pairs, in order
+     */
+    function uniqueAnchors(a, b, startA, endA, startB, endB) {
+        const counts = new Map();
+        for (let i = startA; i < endA; i++) {
+            const count = counts.get(a[i]) || { a: 0, b: 0, i, j: -1 };
+            count.a++;
+            counts.set(a[i], count);
+        }
+        for (let j = startB; j < endB; j++) {
+            const count = counts.get(b[j]);
+            if (count) {
+                count.b++;
+                count.j = j;
+            }
+        }
+
+        // Map order is first occurrence in a, so pairs are sorted by i
+        const pairs = [...counts.values()].filter(count => count.a === 1 && count.b === 1);
+
+        // Longest increasing run of j, by patience sorting
+        const tails = [];
+        const previous = new Array(pairs.length);
+        pairs.forEach((pair, p) => {
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (pairs[tails[mid]].j < pair.j) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            previous[p] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = p;
+        });
+
+        const anchors = [];
+        for (let p = tails.length > 0 ? tails[tails.length - 1] : -1; p >= 0; p = previous[p]) {
+            anchors.push([pairs[p].i, pairs[p].j]);
+        }
+        return anchors.reverse();
+    }
+
+    /**
+     * Diff two texts line by line
+     * @returns {Array} Hunks of { type: 'equal'|'insert'|'delete', lines }
+     */
+    function diffLines(oldText, newText) {
+        const a = splitLines(oldText);
+        const b = splitLines(newText);
+        const matches = matchLines(a, b);
+        const hunks = [];
+
+        const push = (type, line) => {
+            const last = hunks[hunks.length - 1];
+            if (last && last.type === type) {
+                last.lines.push(line);
+            } else {
+                hunks.push({ type, lines: [line] });
+            }
+        };
+
+        let j = 0;
+        a.forEach((line, i) => {
+            if (matches[i] < 0) {
+                push('delete', line);
+                return;
+            }
+            while (j < matches[i]) {
+                push('insert', b[j++]);
+            }
+            push('equal', line);
+            j++;
+        });
+        while (j < b.length) {
+            push('insert', b[j++]);
+        }
+
+        return hunks;
+    }
+
+    /**
+     * Check two line arrays for equality
+     */
+    function sameLines(a, b) {
+        return a.length === b.length && a.every((line, i) => line === b[i]);
+    }
+
+    /**
+     * Three-way merge: apply both sides' changes to their common base.
+     * Changes to different parts of the text merge cleanly; changes to
+     * the same lines become conflict chunks.
+     * @returns {{chunks: Array, conflicts: number, text: string|null}}
+     *   chunks are { type: 'merged', lines } or
+     *   { type: 'conflict', base, local, remote }; text is the merged
+     *   result when there are no conflicts
+     */
+    function merge3(baseText, localText, remoteText) {
+        const base = splitLines(baseText);
+        const local = splitLines(localText);
+        const remote = splitLines(remoteText);
+        const toLocal = matchLines(base, local);
+        const toRemote = matchLines(base, remote);
+        const chunks = [];
+
+        const emit = (lines) => {
+            if (lines.length === 0) return;
+            const last = chunks[chunks.length - 1];
+            if (last && last.type === 'merged') {
+                last.lines.push(...lines);
+            } else {
+                chunks.push({ type: 'merged', lines: [...lines] });
+            }
+        };
+
+        let i = 0;
+        let l = 0;
+        let r = 0;
+
+        while (i < base.length || l < local.length || r < remote.length) {
+            // Lines unchanged on both sides
+            if (i < base.length && toLocal[i] === l && toRemote[i] === r) {
+                emit([base[i]]);
+                i++;
+                l++;
+                r++;
+                continue;
+            }
+
+            // Find the next base line both sides still have
+            let k = i;
+            while (k < base.length && (toLocal[k] < 0 || toRemote[k] < 0)) {
+                k++;
+            }
+
+            const localEnd = k < base.length ? toLocal[k] : local.length;
+            const remoteEnd = k < base.length ? toRemote[k] : remote.length;
+            const baseLines = base.slice(i, k);
+            const localLines = local.slice(l, localEnd);
+            const remoteLines = remote.slice(r, remoteEnd);
+
+            if (sameLines(localLines, baseLines)) {
+                emit(remoteLines);
+            } else if (sameLines(remoteLines, baseLines) || sameLines(localLines, remoteLines)) {
+                emit(localLines);
+            } else {
+                chunks.push({ type: 'conflict', base: baseLines, local: localLines, remote: remoteLines });
+            }
+
+            i = k;
+            l = localEnd;
+            r = remoteEnd;
+        }
+
+        const conflicts = chunks.filter(chunk => chunk.type === 'conflict').length;
+
+        return {
+            chunks,
+            conflicts,
+            text: conflicts === 0 ? chunks.map(chunk => chunk.lines.join('\n')).join('\n') : null
+        };
+    }
+
+    // Public API
+    return {
+        diffLines,
+        merge3
+    };
+})();
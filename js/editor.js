@@ -8,11 +8,19 @@ const Editor = (function() {
     let previewContainer = null;
     let currentDraftId = null;
     let autoSaveTimer = null;
+    let draftWrite = Promise.resolve(); // Last draft save, so a discard lands after it
     const AUTO_SAVE_DELAY = 1000; // 1 second
+    const PREVIEW_ASSET_DELAY = 500; // Wait for typing to pause before fetching new images
+    let uploadCount = 0; // Keeps upload placeholders unique
 
     // Track if editing an existing notebook
     let currentNotebookId = null;
     let currentNotebookTitle = null;
+    let currentNotebookBase = null; // { content, sha } the edit started from
+    let currentNotebookEncrypted = false; // Never kept as a draft, which would be plain text
+
+    // Unchanged lines shown around each conflict in the merge view
+    const MERGE_CONTEXT_LINES = 3;
 
     /**
      * Initialize the editor
@@ -28,6 +36,9 @@ const Editor = (function() {
         // Set up event listeners
         textarea.addEventListener('input', handleInput);
         textarea.addEventListener('keydown', handleKeydown);
+        textarea.addEventListener('paste', handlePaste);
+        textarea.addEventListener('dragover', handleDragOver);
+        textarea.addEventListener('drop', handleDrop);
 
         // Set up toolbar
         initToolbar();
@@ -197,8 +208,9 @@ const Editor = (function() {
                     break;
                 case 's':
                     e.preventDefault();
-                    saveDraft();
-                    showSaveNotification();
+                    saveDraft().then(saved => {
+                        if (saved) showSaveNotification();
+                    });
                     break;
             }
         }
@@ -210,22 +222,121 @@ const Editor = (function() {
         }
     }
 
+    /**
+     * Upload images or PDFs pasted into the editor
+     */
+    function handlePaste(e) {
+        const files = Array.from(e.clipboardData?.files || []).filter(Attachments.isSupported);
+        if (files.length === 0) return;
+
+        e.preventDefault();
+        attachFiles(files);
+    }
+
+    /**
+     * Show a copy cursor when files are dragged over the editor
+     */
+    function handleDragOver(e) {
+        if (e.dataTransfer?.types.includes('Files')) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        }
+    }
+
+    /**
+     * Upload images or PDFs dropped onto the editor
+     */
+    function handleDrop(e) {
+        const files = Array.from(e.dataTransfer?.files || []);
+        if (files.length === 0) return;
+
+        e.preventDefault();
+        const supported = files.filter(Attachments.isSupported);
+        if (supported.length < files.length) {
+            alert('Only images and PDFs can be attached.');
+        }
+        attachFiles(supported);
+    }
+
+    /**
+     * Upload files as attachments, inserting a placeholder at the cursor
+     * for each that becomes a link once the upload finishes
+     */
+    function attachFiles(files) {
+        if (files.length === 0) return;
+
+        if (!GitHub.isConfigured()) {
+            alert('Configure GitHub in settings to attach files.');
+            return;
+        }
+        if (!navigator.onLine) {
+            alert('Attachments can only be uploaded while online.');
+            return;
+        }
+
+        files.forEach(file => {
+            const placeholder = `![Uploading ${file.name || 'file'} (${++uploadCount})…]()`;
+            const pos = textarea.selectionStart + placeholder.length + 1;
+            insertText(placeholder + '\n');
+            textarea.setSelectionRange(pos, pos);
+
+            Attachments.upload(file)
+                .then(path => {
+                    replacePlaceholder(placeholder, Attachments.markdownFor(path, getNotebookPath(), file));
+                })
+                .catch(err => {
+                    console.error('Failed to upload attachment:', err);
+                    replacePlaceholder(placeholder + '\n', '');
+                    alert(`Failed to attach ${file.name || 'file'}: ${err.message}`);
+                });
+        });
+    }
+
+    /**
+     * Swap an upload placeholder for its final text, keeping the cursor
+     * in place
+     */
+    function replacePlaceholder(placeholder, text) {
+        const index = textarea.value.indexOf(placeholder);
+        if (index < 0) return; // Edited away while uploading
+
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const shift = pos => pos > index ? Math.max(index, pos + text.length - placeholder.length) : pos;
+
+        textarea.value = textarea.value.slice(0, index) + text + textarea.value.slice(index + placeholder.length);
+        textarea.setSelectionRange(shift(start), shift(end));
+        handleInput();
+    }
+
+    /**
+     * Repo path the draft will be saved to, for linking attachments
+     */
+    function getNotebookPath() {
+        return `notebooks/${currentNotebookId || 'untitled'}.md`;
+    }
+
     /**
      * Update the preview pane
      */
     function updatePreview() {
         if (!previewContainer) return;
-        Markdown.render(textarea.value, previewContainer);
+        Markdown.render(textarea.value, previewContainer, {
+            path: getNotebookPath(),
+            assetDelay: PREVIEW_ASSET_DELAY
+        });
     }
 
     /**
      * Save current draft
+     * @returns {Promise<boolean>} Whether a draft was stored
      */
-    function saveDraft() {
-        if (!textarea) return;
+    async function saveDraft() {
+        autoSaveTimer = null;
+        if (!textarea) return false;
 
         const content = textarea.value;
-        if (!content.trim()) return;
+        if (!content.trim() || currentNotebookEncrypted) return false;
 
         const title = Markdown.extractTitle(content);
 
@@ -233,36 +344,102 @@ const Editor = (function() {
             currentDraftId = 'draft_' + Date.now();
         }
 
-        Storage.saveDraft(currentDraftId, content, title);
+        const notebook = currentNotebookId
+            ? { id: currentNotebookId, title: currentNotebookTitle, base: currentNotebookBase }
+            : null;
+
+        const write = Storage.saveDraft(currentDraftId, content, title, notebook);
+        draftWrite = write.catch(() => {});
+
+        try {
+            await write;
+            return true;
+        } catch (err) {
+            // Storage has already reported the error
+            return false;
+        }
     }
 
     /**
-     * Load a draft
+     * Write out a pending auto-save straight away
      */
-    function loadDraft(id) {
-        const draft = Storage.getDraft(id);
+    function flushDraft() {
+        if (!autoSaveTimer) {
+            return Promise.resolve(false);
+        }
+        clearTimeout(autoSaveTimer);
+        autoSaveTimer = null;
+        return saveDraft();
+    }
+
+    /**
+     * Delete the open draft once its content is saved elsewhere. Further
+     * edits start a new draft.
+     */
+    async function discardDraft() {
+        clearTimeout(autoSaveTimer);
+        autoSaveTimer = null;
+
+        const id = currentDraftId;
+        currentDraftId = null;
+        if (!id) return;
+
+        await draftWrite;
+        try {
+            await Storage.deleteDraft(id);
+        } catch (err) {
+            console.warn('Could not delete draft:', err);
+        }
+    }
+
+    /**
+     * Load a draft, along with the notebook it edits
+     */
+    async function loadDraft(id) {
+        const draft = await Storage.getDraft(id);
         if (draft && textarea) {
+            clearTimeout(autoSaveTimer);
+            autoSaveTimer = null;
             currentDraftId = id;
+            currentNotebookId = draft.notebook ? draft.notebook.id : null;
+            currentNotebookTitle = draft.notebook ? draft.notebook.title : null;
+            currentNotebookBase = draft.notebook ? draft.notebook.base : null;
+            currentNotebookEncrypted = false;
             textarea.value = draft.content;
             updatePreview();
         }
+        return Boolean(draft);
+    }
+
+    /**
+     * Get the ID of the draft open in the editor, or null if unsaved
+     */
+    function getCurrentDraftId() {
+        return currentDraftId;
     }
 
     /**
      * Load the most recent draft
      */
-    function loadLastDraft() {
-        const drafts = Storage.getDrafts();
+    async function loadLastDraft() {
+        let drafts;
+        try {
+            drafts = await Storage.getDrafts();
+        } catch (err) {
+            console.error('Could not load drafts:', err);
+            return;
+        }
         const draftIds = Object.keys(drafts);
 
-        if (draftIds.length > 0) {
+        // Don't replace anything opened while the drafts were loading
+        if (draftIds.length > 0 && !textarea.value) {
             // Sort by updated time and get most recent
             draftIds.sort((a, b) => {
                 const timeA = new Date(drafts[a].updatedAt).getTime();
                 const timeB = new Date(drafts[b].updatedAt).getTime();
                 return timeB - timeA;
             });
-            loadDraft(draftIds[0]);
+            await loadDraft(draftIds[0]);
         }
     }
 
@@ -270,9 +447,13 @@ const Editor = (function() {
      * Create a new draft
      */
     function newDraft() {
+        clearTimeout(autoSaveTimer);
+        autoSaveTimer = null;
         currentDraftId = null;
         currentNotebookId = null;
         currentNotebookTitle = null;
+        currentNotebookBase = null;
+        currentNotebookEncrypted = false;
         if (textarea) {
             textarea.value = '';
             updatePreview();
@@ -281,10 +462,19 @@ const Editor = (function() {
 
     /**
      * Set current notebook being edited (for edit existing feature)
+     * @param {Object} base - The version being edited: { content, sha }
+     * @param {boolean} encrypted - Whether the notebook is encrypted, in
+     *   which case edits aren't auto-saved as drafts
      */
-    function setCurrentNotebook(id, title) {
+    function setCurrentNotebook(id, title, base = null, encrypted = false) {
         currentNotebookId = id;
         currentNotebookTitle = title;
+        currentNotebookBase = base;
+        currentNotebookEncrypted = Boolean(id && encrypted);
+        if (currentNotebookEncrypted) {
+            clearTimeout(autoSaveTimer);
+            autoSaveTimer = null;
+        }
     }
 
     /**
@@ -292,11 +482,123 @@ const Editor = (function() {
      */
     function getCurrentNotebook() {
         if (currentNotebookId) {
-            return { id: currentNotebookId, title: currentNotebookTitle };
+            return {
+                id: currentNotebookId,
+                title: currentNotebookTitle,
+                base: currentNotebookBase,
+                encrypted: currentNotebookEncrypted
+            };
         }
         return null;
     }
 
+    /**
+     * Show the three-way merge view and let the user pick a version for
+     * each conflict
+     * @param {Array} chunks - Chunks from Diff.merge3()
+     * @returns {Promise<string|null>} The merged text, or null if cancelled
+     */
+    function showMergeView(chunks) {
+        const view = document.getElementById('merge-view');
+        const body = document.getElementById('merge-view-body');
+        const applyBtn = document.getElementById('merge-apply');
+        const cancelBtn = document.getElementById('merge-cancel');
+        if (!view || !body || !applyBtn || !cancelBtn) {
+            return Promise.resolve(null);
+        }
+
+        // Resolved lines per chunk; null until the user picks a side
+        const resolved = chunks.map(chunk => (chunk.type === 'conflict' ? null : chunk.lines));
+
+        body.innerHTML = chunks.map((chunk, i) => (chunk.type === 'conflict'
+            ? renderConflictChunk(chunk, i)
+            : renderMergedChunk(chunk, i, chunks.length))).join('');
+        applyBtn.disabled = true;
+        view.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            const handleChoice = (e) => {
+                const btn = e.target.closest('[data-merge-choice]');
+                if (!btn) return;
+
+                const el = btn.closest('[data-conflict]');
+                const chunk = chunks[el.dataset.conflict];
+                const choice = btn.dataset.mergeChoice;
+                resolved[el.dataset.conflict] = choice === 'both'
+                    ? [...chunk.local, ...chunk.remote]
+                    : chunk[choice];
+
+                el.querySelectorAll('[data-merge-choice]').forEach(b => b.classList.toggle('active', b === btn));
+                el.classList.add('resolved');
+                applyBtn.disabled = resolved.some(lines => lines === null);
+            };
+
+            const finish = (result) => {
+                view.classList.add('hidden');
+                body.removeEventListener('click', handleChoice);
+                applyBtn.removeEventListener('click', handleApply);
+                cancelBtn.removeEventListener('click', handleCancel);
+                resolve(result);
+            };
+            const handleApply = () => finish(resolved.flat().join('\n'));
+            const handleCancel = () => finish(null);
+
+            body.addEventListener('click', handleChoice);
+            applyBtn.addEventListener('click', handleApply);
+            cancelBtn.addEventListener('click', handleCancel);
+        });
+    }
+
+    /**
+     * Render lines for the merge view
+     */
+    function renderMergeLines(lines) {
+        return lines.map(line => Markdown.escapeHtml(line) || ' ').join('\n');
+    }
+
+    /**
+     * Render an auto-merged chunk, collapsing long unchanged runs
+     */
+    function renderMergedChunk(chunk, index, count) {
+        const keepStart = index > 0 ? MERGE_CONTEXT_LINES : 0;
+        const keepEnd = index < count - 1 ? MERGE_CONTEXT_LINES : 0;
+        const hidden = chunk.lines.length - keepStart - keepEnd;
+
+        if (hidden <= 1) {
+            return `<pre class="merge-chunk">${renderMergeLines(chunk.lines)}</pre>`;
+        }
+
+        const before = chunk.lines.slice(0, keepStart);
+        const after = chunk.lines.slice(chunk.lines.length - keepEnd);
+
+        return [
+            before.length ? `<pre class="merge-chunk">${renderMergeLines(before)}</pre>` : '',
+            `<div class="merge-skipped">${hidden} merged lines</div>`,
+            after.length ? `<pre class="merge-chunk">${renderMergeLines(after)}</pre>` : ''
+        ].join('');
+    }
+
+    /**
+     * Render a conflict with both versions side by side
+     */
+    function renderConflictChunk(chunk, index) {
+        return `
+            <div class="merge-conflict" data-conflict="${index}">
+                <div class="merge-side">
+                    <div class="merge-side-label">Your version</div>
+                    <pre>${renderMergeLines(chunk.local)}</pre>
+                    <button class="btn btn-ghost" data-merge-choice="local">Keep mine</button>
+                </div>
+                <div class="merge-side">
+                    <div class="merge-side-label">GitHub version</div>
+                    <pre>${renderMergeLines(chunk.remote)}</pre>
+                    <button class="btn btn-ghost" data-merge-choice="remote">Keep theirs</button>
+                </div>
+                <button class="btn btn-ghost merge-both" data-merge-choice="both">Keep both</button>
+            </div>
+        `;
+    }
+
     /**
      * Get current content
      */
@@ -370,12 +672,16 @@ const Editor = (function() {
     return {
         init,
         loadDraft,
+        flushDraft,
+        getCurrentDraftId,
         newDraft,
         getContent,
         setContent,
         exportMarkdown,
         saveDraft,
+        discardDraft,
         setCurrentNotebook,
-        getCurrentNotebook
+        getCurrentNotebook,
+        showMergeView
     };
 })();
@@ -0,0 +1,180 @@
+/**
+ * Moleskine - Encryption Module
+ * End-to-end encrypted notebooks: AES-GCM with a key derived from a
+ * passphrase, stored in the repo as armored .md.enc text
+ */
+
+const Encryption = (function() {
+    const ARMOR_BEGIN = '-----BEGIN MOLESKINE ENCRYPTED NOTEBOOK-----';
+    const ARMOR_END = '-----END MOLESKINE ENCRYPTED NOTEBOOK-----';
+    const FORMAT_VERSION = '1';
+    const KDF_ITERATIONS = 600000;
+    const LINE_LENGTH = 64;
+
+    // Notebook ID -> { key, salt, iterations } for notebooks opened this session
+    const keys = new Map();
+
+    // Passphrases entered this session, tried on other notebooks. Memory only.
+    const passphrases = [];
+
+    /**
+     * Check whether stored notebook text is encrypted
+     */
+    function isArmored(text) {
+        return typeof text === 'string' && text.trimStart().startsWith(ARMOR_BEGIN);
+    }
+
+    /**
+     * Wrap ciphertext and its parameters in the armored text format:
+     *
+     *   -----BEGIN MOLESKINE ENCRYPTED NOTEBOOK-----
+     *   Version: 1
+     *   Cipher: AES-256-GCM
+     *   KDF: PBKDF2-SHA256
+     *   Iterations: 600000
+     *   Salt: <base64>
+     *   IV: <base64>
+     *
+     *   <base64 ciphertext, 64 characters per line>
+     *   -----END MOLESKINE ENCRYPTED NOTEBOOK-----
+     */
+    function formatArmor({ iterations, salt, iv, data }) {
+        return [
+            ARMOR_BEGIN,
+            `Version: ${FORMAT_VERSION}`,
+            'Cipher: AES-256-GCM',
+            'KDF: PBKDF2-SHA256',
+            `Iterations: ${iterations}`,
+            `Salt: ${salt}`,
+            `IV: ${iv}`,
+            '',
+            ...(data.match(new RegExp(`.{1,${LINE_LENGTH}}`, 'g')) || []),
+            ARMOR_END,
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Read the parameters and ciphertext out of armored text
+     */
+    function parseArmor(text) {
+        const lines = text.trim().split(/\r?\n/);
+        const end = lines.indexOf(ARMOR_END);
+        const blank = lines.indexOf('');
+        if (lines[0] !== ARMOR_BEGIN || end < 0 || blank < 0 || blank > end) {
+            throw new Error('This encrypted notebook is damaged');
+        }
+
+        const headers = {};
+        lines.slice(1, blank).forEach(line => {
+            const colon = line.indexOf(':');
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        });
+
+        if (headers.version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported encrypted notebook version: ${headers.version}`);
+        }
+
+        return {
+            iterations: parseInt(headers.iterations, 10),
+            salt: headers.salt,
+            iv: headers.iv,
+            data: lines.slice(blank + 1, end).join('')
+        };
+    }
+
+    /**
+     * Derive a notebook key from a passphrase
+     */
+    async function deriveKey(passphrase, salt, iterations) {
+        const bytes = await Vault.deriveBits(passphrase, Vault.decodeBase64(salt), iterations);
+        return { key: await Vault.importKey(bytes), salt, iterations };
+    }
+
+    /**
+     * Remember a passphrase for the rest of the session
+     */
+    function rememberPassphrase(passphrase) {
+        if (!passphrases.includes(passphrase)) {
+            passphrases.push(passphrase);
+        }
+    }
+
+    /**
+     * Encrypt a notebook under a new passphrase (with a fresh salt)
+     * @returns {Promise<string>} Armored text
+     */
+    async function encrypt(id, markdown, passphrase) {
+        const entry = await deriveKey(passphrase, Vault.encodeBase64(Vault.randomBytes()), KDF_ITERATIONS);
+        keys.set(id, entry);
+        rememberPassphrase(passphrase);
+        return seal(id, markdown);
+    }
+
+    /**
+     * Re-encrypt a notebook opened this session, under the same key
+     * @returns {Promise<string>} Armored text
+     */
+    async function seal(id, markdown) {
+        const entry = keys.get(id);
+        if (!entry) {
+            throw new Error('Unlock this notebook before saving it');
+        }
+
+        const { iv, data } = await Vault.encrypt(entry.key, markdown);
+        return formatArmor({ iterations: entry.iterations, salt: entry.salt, iv, data });
+    }
+
+    /**
+     * Decrypt a notebook. Tries the key it was opened with this session,
+     * then the given passphrase, or else every passphrase entered so far.
+     * A notebook keeps the key it was first opened with, so reading an old
+     * version under an earlier passphrase doesn't change how it's saved.
+     * @returns {Promise<string|null>} The markdown, or null if no key fits
+     */
+    async function open(id, armored, passphrase = null) {
+        const params = parseArmor(armored);
+        const known = keys.get(id);
+
+        const candidates = [];
+        if (known && known.salt === params.salt && known.iterations === params.iterations) {
+            candidates.push(() => known);
+        }
+        (passphrase !== null ? [passphrase] : passphrases).forEach(p => {
+            candidates.push(() => deriveKey(p, params.salt, params.iterations));
+        });
+
+        for (const candidate of candidates) {
+            const entry = await candidate();
+            try {
+                const markdown = await Vault.decrypt(entry.key, params);
+                if (!keys.has(id) || passphrase !== null) {
+                    keys.set(id, entry);
+                }
+                if (passphrase !== null) {
+                    rememberPassphrase(passphrase);
+                }
+                return markdown;
+            } catch (err) {
+                // Wrong key; try the next one
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a notebook can be re-encrypted without its passphrase
+     */
+    function hasKey(id) {
+        return keys.has(id);
+    }
+
+    // Public API
+    return {
+        isArmored,
+        encrypt,
+        seal,
+        open,
+        hasKey
+    };
+})();
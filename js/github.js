@@ -12,22 +12,53 @@ const GitHub = (function() {
     const DEFAULT_REPO = 'Moleskine';
     const DEFAULT_BRANCH = 'main';
 
+    const NOTEBOOK_INDEX_PATH = 'notebooks/_index.json';
+    const WHITEBOARD_INDEX_PATH = 'whiteboards/_index.json';
+
+    // Shown in the index and commit messages instead of a hidden title
+    const HIDDEN_TITLE = 'Encrypted notebook';
+
+    // Times to rebuild a commit when the branch moved underneath it
+    const COMMIT_RETRIES = 2;
+
+    // Decrypted copies of the stored token and repo settings
+    let token = null;
+    let repoConfig = null;
+
     /**
-     * Get stored GitHub token
+     * Decrypt the stored token and repo settings into memory. Needs the
+     * session key, so runs after Auth.unlock().
+     */
+    async function init() {
+        try {
+            token = await Vault.getItem(TOKEN_KEY);
+        } catch (err) {
+            console.error('Could not decrypt the GitHub token:', err);
+            token = null;
+        }
+
+        try {
+            repoConfig = JSON.parse(await Vault.getItem(REPO_KEY));
+        } catch (err) {
+            console.error('Could not decrypt the repo settings:', err);
+            repoConfig = null;
+        }
+    }
+
+    /**
+     * Get the GitHub token
      */
     function getToken() {
-        return localStorage.getItem(TOKEN_KEY);
+        return token;
     }
 
     /**
-     * Set GitHub token
+     * Set the GitHub token; it's stored encrypted
+     * @returns {Promise} Resolves once the token is stored
      */
-    function setToken(token) {
-        if (token) {
-            localStorage.setItem(TOKEN_KEY, token);
-        } else {
-            localStorage.removeItem(TOKEN_KEY);
-        }
+    function setToken(newToken) {
+        token = newToken || null;
+        return Vault.setItem(TOKEN_KEY, token);
     }
 
     /**
@@ -41,13 +72,7 @@ const GitHub = (function() {
      * Get repo configuration
      */
     function getRepoConfig() {
-        try {
-            const stored = localStorage.getItem(REPO_KEY);
-            if (stored) {
-                return JSON.parse(stored);
-            }
-        } catch (e) {}
-        return {
+        return repoConfig || {
             owner: DEFAULT_OWNER,
             repo: DEFAULT_REPO,
             branch: DEFAULT_BRANCH
@@ -55,17 +80,20 @@ const GitHub = (function() {
     }
 
     /**
-     * Set repo configuration
+     * Set repo configuration; it's stored encrypted
+     * @returns {Promise} Resolves once the settings are stored
      */
     function setRepoConfig(owner, repo, branch = 'main') {
-        localStorage.setItem(REPO_KEY, JSON.stringify({ owner, repo, branch }));
+        repoConfig = { owner, repo, branch };
+        return Vault.setItem(REPO_KEY, JSON.stringify(repoConfig));
     }
 
     /**
      * Make authenticated GitHub API request
+     * @param {Object} options - fetch() options, plus token: one to use
+     *   instead of the saved token
      */
-    async function apiRequest(endpoint, options = {}) {
-        const token = getToken();
+    async function apiRequest(endpoint, { token = getToken(), ...options } = {}) {
         if (!token) {
             throw new Error('GitHub token not configured');
         }
@@ -82,7 +110,9 @@ const GitHub = (function() {
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            throw new Error(error.message || `GitHub API error: ${response.status}`);
+            const err = new Error(error.message || `GitHub API error: ${response.status}`);
+            err.status = response.status;
+            throw err;
         }
 
         return response.json();
@@ -90,18 +120,28 @@ const GitHub = (function() {
 
     /**
      * Get file content from repo
+     * @param {string} ref - Branch, tag or commit SHA (defaults to the configured branch)
+     * @param {boolean} binary - Return the content as a Uint8Array instead of text
      */
-    async function getFile(path) {
+    async function getFile(path, ref = null, binary = false) {
         const { owner, repo, branch } = getRepoConfig();
         try {
-            const data = await apiRequest(`/repos/${owner}/${repo}/contents/${path}?ref=${branch}`);
+            const data = await apiRequest(`/repos/${owner}/${repo}/contents/${path}?ref=${ref || branch}`);
+
+            // Files over 1 MB come without content; fetch those as a git blob
+            let base64 = data.content;
+            if (!base64 && data.size > 0) {
+                base64 = (await apiRequest(`/repos/${owner}/${repo}/git/blobs/${data.sha}`)).content;
+            }
+
+            const bytes = decodeBase64Bytes(base64 || '');
             return {
-                content: atob(data.content),
+                content: binary ? bytes : new TextDecoder().decode(bytes),
                 sha: data.sha,
                 path: data.path
             };
         } catch (e) {
-            if (e.message.includes('404')) {
+            if (e.status === 404 || e.message.includes('404')) {
                 return null; // File doesn't exist
             }
             throw e;
@@ -109,61 +149,140 @@ const GitHub = (function() {
     }
 
     /**
-     * Create or update file in repo
-     * @param {string} path - File path in repo
-     * @param {string} content - File content (text or base64 if isBase64=true)
+     * Decode base64 file content to bytes
+     */
+    function decodeBase64Bytes(base64) {
+        const binary = atob(base64.replace(/\s/g, ''));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    /**
+     * Compute the git blob SHA of text content, as GitHub reports it
+     */
+    async function blobSha(content) {
+        const body = new TextEncoder().encode(content);
+        const header = new TextEncoder().encode(`blob ${body.length}\0`);
+        const bytes = new Uint8Array(header.length + body.length);
+        bytes.set(header);
+        bytes.set(body, header.length);
+
+        const digest = await crypto.subtle.digest('SHA-1', bytes);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Throw a 409 conflict if any file changed since the version it was
+     * edited from. Files with baseSha null must not exist yet.
+     */
+    async function checkBaseShas(files, commitSha) {
+        for (const file of files.filter(f => f.baseSha !== undefined)) {
+            const current = await getFile(file.path, commitSha);
+            const currentSha = current ? current.sha : null;
+
+            if (currentSha !== file.baseSha) {
+                const err = new Error(`${file.path} was changed on GitHub since it was opened`);
+                err.status = 409;
+                err.path = file.path;
+                err.remote = current;
+                throw err;
+            }
+        }
+    }
+
+    /**
+     * Commit several file changes at once through the Git Data API:
+     * one blob per file, one tree, one commit, then move the branch ref.
+     * @param {Array} files - { path, content, isBase64, baseSha } to write,
+     *   { path, delete: true }, or { path, update } where update(content)
+     *   turns the file as it is in the parent commit (null if missing) into
+     *   its new content. With baseSha set, the commit fails with a 409
+     *   error (carrying the remote file) if the file no longer has that SHA.
      * @param {string} message - Commit message
-     * @param {boolean} isBase64 - If true, content is already base64 encoded
      */
-    async function saveFile(path, content, message, isBase64 = false) {
+    async function commitFiles(files, message) {
         const { owner, repo, branch } = getRepoConfig();
+        const base = `/repos/${owner}/${repo}/git`;
 
-        // Get current file SHA if it exists (needed for updates)
-        let sha = null;
-        try {
-            const existing = await getFile(path);
-            if (existing) {
-                sha = existing.sha;
+        const createBlob = async file => {
+            if (file.delete) {
+                return { path: file.path, mode: '100644', type: 'blob', sha: null };
             }
-        } catch (e) {
-            // File doesn't exist, that's fine
-        }
 
-        const body = {
-            message: message || `Update ${path}`,
-            content: isBase64 ? content : btoa(unescape(encodeURIComponent(content))), // Handle unicode for text
-            branch: branch
+            const blob = await apiRequest(`${base}/blobs`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    content: file.content,
+                    encoding: file.isBase64 ? 'base64' : 'utf-8'
+                })
+            });
+            return { path: file.path, mode: '100644', type: 'blob', sha: blob.sha };
         };
 
-        if (sha) {
-            body.sha = sha;
+        // Most blobs don't depend on the branch head, so create them once
+        const fixed = await Promise.all(files.filter(file => !file.update).map(createBlob));
+
+        // Retry if another commit lands between reading and moving the ref
+        for (let attempt = 0; ; attempt++) {
+            const ref = await apiRequest(`${base}/ref/heads/${branch}`);
+            const parent = await apiRequest(`${base}/commits/${ref.object.sha}`);
+            await checkBaseShas(files, parent.sha);
+
+            // Updates apply to the parent's copy, so changes committed
+            // elsewhere in the meantime are kept
+            const updated = await Promise.all(files.filter(file => file.update).map(async file => {
+                const current = await getFile(file.path, parent.sha);
+                return createBlob({ path: file.path, content: file.update(current ? current.content : null) });
+            }));
+
+            const newTree = await apiRequest(`${base}/trees`, {
+                method: 'POST',
+                body: JSON.stringify({ base_tree: parent.tree.sha, tree: [...fixed, ...updated] })
+            });
+
+            const commit = await apiRequest(`${base}/commits`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    message,
+                    tree: newTree.sha,
+                    parents: [parent.sha]
+                })
+            });
+
+            try {
+                await apiRequest(`${base}/refs/heads/${branch}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ sha: commit.sha })
+                });
+                return commit;
+            } catch (e) {
+                if (e.status !== 422 || attempt >= COMMIT_RETRIES) {
+                    throw e;
+                }
+            }
         }
+    }
 
-        return apiRequest(`/repos/${owner}/${repo}/contents/${path}`, {
-            method: 'PUT',
-            body: JSON.stringify(body)
-        });
+    /**
+     * Create or update file in repo
+     * @param {string} path - File path in repo
+     * @param {string} content - File content (text or base64 if isBase64=true)
+     * @param {string} message - Commit message
+     * @param {boolean} isBase64 - If true, content is already base64 encoded
+     */
+    async function saveFile(path, content, message, isBase64 = false) {
+        return commitFiles([{ path, content, isBase64 }], message || `Update ${path}`);
     }
 
     /**
      * Delete file from repo
      */
     async function deleteFile(path, message) {
-        const { owner, repo, branch } = getRepoConfig();
-
         const existing = await getFile(path);
         if (!existing) {
             throw new Error('File not found');
         }
 
-        return apiRequest(`/repos/${owner}/${repo}/contents/${path}`, {
-            method: 'DELETE',
-            body: JSON.stringify({
-                message: message || `Delete ${path}`,
-                sha: existing.sha,
-                branch: branch
-            })
-        });
+        return commitFiles([{ path, delete: true }], message || `Delete ${path}`);
     }
 
     /**
@@ -175,38 +294,143 @@ const GitHub = (function() {
     }
 
     /**
-     * Save a notebook (markdown file + update index)
+     * List every file under a directory, descending into subdirectories
+     */
+    async function listFilesRecursive(path = '') {
+        const entries = await listFiles(path);
+        const files = [];
+
+        for (const entry of entries) {
+            if (entry.type === 'dir') {
+                files.push(...await listFilesRecursive(entry.path));
+            } else if (entry.type === 'file') {
+                files.push(entry);
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Get the blob SHA of every file under a directory, from one request
+     * for the branch's tree
+     * @returns {Promise<Map>} Path -> SHA
+     */
+    async function listBlobShas(path) {
+        const { owner, repo, branch } = getRepoConfig();
+        const tree = await apiRequest(`/repos/${owner}/${repo}/git/trees/${branch}?recursive=1`);
+        return new Map(tree.tree
+            .filter(entry => entry.type === 'blob' && entry.path.startsWith(path + '/'))
+            .map(entry => [entry.path, entry.sha]));
+    }
+
+    /**
+     * List the commits that touched a file, newest first
+     * @returns {Promise<Array>} { sha, message, author, date }
      */
-    async function saveNotebook(id, content, title, tags = [], folder = null) {
-        // Save the markdown file
-        await saveFile(
-            `notebooks/${id}.md`,
-            content,
-            `Update notebook: ${title}`
+    async function getFileHistory(path, limit = 100) {
+        const { owner, repo, branch } = getRepoConfig();
+        const commits = await apiRequest(
+            `/repos/${owner}/${repo}/commits?sha=${branch}&path=${encodeURIComponent(path)}&per_page=${limit}`
         );
 
-        // Update the index
-        await updateNotebookIndex(id, title, tags, folder);
+        return commits.map(item => ({
+            sha: item.sha,
+            message: item.commit.message,
+            author: item.commit.author?.name || item.author?.login || 'Unknown',
+            date: item.commit.author?.date || null
+        }));
+    }
+
+    /**
+     * Save a notebook (markdown file + update index) in one commit
+     * @param {Object} meta - Optional front matter metadata: createdAt, aliases,
+     *   properties; and encrypted / hideTitle to turn encryption on or off
+     *   (content must then be armored text from Encryption)
+     * @param {string|null} baseSha - Blob SHA the edit started from (null for a
+     *   new notebook); the save fails with a 409 conflict if the file moved on
+     * @param {string} message - Commit message (defaults to "Update notebook: <title>")
+     */
+    async function saveNotebook(id, content, title, tags = [], folder = null, meta = {}, baseSha = undefined, message = null) {
+        // Work out the file's path from the current index; the index itself
+        // is edited as it stands when the commit is made
+        const index = await getNotebookIndex();
+        const previous = index.notebooks.find(n => n.id === id);
+        const oldPath = previous ? notebookPath(previous) : null;
+
+        updateNotebookIndex(index, id, title, tags, folder, meta);
+        const notebook = index.notebooks.find(n => n.id === id);
+        const path = notebookPath(notebook);
+
+        if (notebook.encrypted && !Encryption.isArmored(content)) {
+            throw new Error('An encrypted notebook can only be saved encrypted');
+        }
+
+        // Encrypting or decrypting moves the file between .md and .md.enc
+        const changes = oldPath && oldPath !== path
+            ? [{ path: oldPath, delete: true, baseSha }, { path, content, baseSha: null }]
+            : [{ path, content, baseSha }];
+
+        await commitFiles([
+            ...changes,
+            notebookIndexChange(latest => updateNotebookIndex(latest, id, title, tags, folder, meta))
+        ], message || `Update notebook: ${notebook.title}`);
 
         return true;
     }
 
     /**
-     * Update the notebooks index
+     * A commitFiles() entry that applies an edit to an index file as it is
+     * in the commit being built on. After the commit, change.index holds
+     * the edited index.
+     * @param {Function} edit - (index) => void, changes the index in place
+     * @param {Function} empty - Makes the index to use if there is none yet
+     */
+    function indexChange(path, edit, empty) {
+        const change = {
+            path,
+            update: current => {
+                change.index = current ? JSON.parse(current) : empty();
+                edit(change.index);
+                return JSON.stringify(change.index, null, 2);
+            }
+        };
+        return change;
+    }
+
+    /**
+     * A commitFiles() entry that edits notebooks/_index.json
      */
-    async function updateNotebookIndex(id, title, tags = [], folder = null) {
-        const indexPath = 'notebooks/_index.json';
-        let index = { notebooks: [], tags: [] };
+    function notebookIndexChange(edit) {
+        return indexChange(NOTEBOOK_INDEX_PATH, edit, () => ({ notebooks: [], tags: [] }));
+    }
 
+    /**
+     * Path of a notebook's file in the repo, from its index entry
+     */
+    function notebookPath(notebook) {
+        return `notebooks/${notebook.id}.md${notebook.encrypted ? '.enc' : ''}`;
+    }
+
+    /**
+     * Fetch the notebooks index, or an empty one if it doesn't exist yet
+     */
+    async function getNotebookIndex() {
         try {
-            const existing = await getFile(indexPath);
+            const existing = await getFile(NOTEBOOK_INDEX_PATH);
             if (existing) {
-                index = JSON.parse(existing.content);
+                return JSON.parse(existing.content);
             }
         } catch (e) {
             // Index doesn't exist, start fresh
         }
+        return { notebooks: [], tags: [] };
+    }
 
+    /**
+     * Update a notebook's entry in the index
+     */
+    function updateNotebookIndex(index, id, title, tags = [], folder = null, meta = {}) {
         // Find or create notebook entry
         const now = new Date().toISOString().split('T')[0];
         let notebook = index.notebooks.find(n => n.id === id);
@@ -230,19 +454,240 @@ const GitHub = (function() {
                 newNotebook.folder = folder;
             }
             index.notebooks.push(newNotebook);
+            notebook = newNotebook;
+        }
+
+        applyNotebookMeta(notebook, meta);
+        if (notebook.hideTitle) {
+            notebook.title = HIDDEN_TITLE;
         }
 
-        // Update tags list
-        const allTags = new Set(index.tags || []);
-        tags.forEach(t => allTags.add(t));
-        index.tags = Array.from(allTags).sort();
+        // Rebuild the tag list so tags nobody uses any more drop out
+        index.tags = collectTags(index.notebooks);
 
-        // Save updated index
-        await saveFile(
-            indexPath,
-            JSON.stringify(index, null, 2),
-            `Update notebook index`
-        );
+        return index;
+    }
+
+    /**
+     * Copy front matter metadata onto an index entry
+     */
+    function applyNotebookMeta(notebook, meta) {
+        if (meta.createdAt) {
+            notebook.createdAt = meta.createdAt;
+        }
+
+        ['aliases', 'properties'].forEach(key => {
+            const value = meta[key];
+            const isEmpty = !value || (Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0);
+            if (isEmpty) {
+                delete notebook[key];
+            } else {
+                notebook[key] = value;
+            }
+        });
+
+        // Flags for encrypted notebooks; left alone unless given
+        ['encrypted', 'hideTitle'].forEach(key => {
+            if (meta[key]) {
+                notebook[key] = true;
+            } else if (meta[key] === false) {
+                delete notebook[key];
+            }
+        });
+
+        // A hidden title takes the tags and other metadata with it
+        if (notebook.hideTitle) {
+            notebook.tags = [];
+            delete notebook.aliases;
+            delete notebook.properties;
+        }
+    }
+
+    /**
+     * Collect the sorted, de-duplicated tags used by a list of notebooks
+     */
+    function collectTags(notebooks) {
+        const allTags = new Set();
+        notebooks.forEach(nb => (nb.tags || []).forEach(t => allTags.add(t)));
+        return Array.from(allTags).sort();
+    }
+
+    /**
+     * Replace the tags of several notebooks in the index, committing the
+     * index together with any rewritten notebook files
+     * @param {Object} tagsById - Map of notebook ID to its new tag list
+     * @param {Array} files - Extra files for the same commit ({ path, content })
+     */
+    async function updateNotebookTags(tagsById, message = 'Update notebook tags', files = []) {
+        const change = notebookIndexChange(index => {
+            index.notebooks.forEach(nb => {
+                if (tagsById[nb.id]) {
+                    nb.tags = tagsById[nb.id];
+                }
+            });
+            index.tags = collectTags(index.notebooks);
+        });
+
+        await commitFiles([...files, change], message);
+
+        return change.index;
+    }
+
+    /**
+     * Move several notebooks to other folders in the index, committing the
+     * index together with any rewritten notebook files
+     * @param {Object} foldersById - Map of notebook ID to its new folder (null for none)
+     * @param {Array} files - Extra files for the same commit ({ path, content, baseSha })
+     */
+    async function moveNotebooks(foldersById, message = 'Move notebooks', files = []) {
+        const change = notebookIndexChange(index => {
+            index.notebooks.forEach(nb => {
+                if (foldersById[nb.id] !== undefined) {
+                    nb.folder = foldersById[nb.id];
+                }
+            });
+        });
+
+        await commitFiles([...files, change], message);
+
+        return change.index;
+    }
+
+    /**
+     * Add a folder to the notebook index, so it exists before anything is
+     * saved in it
+     */
+    async function createFolder(path) {
+        const change = notebookIndexChange(index => {
+            index.folders = [...new Set([...(index.folders || []), path])].sort();
+        });
+
+        await commitFiles([change], `Create folder: ${path}`);
+
+        return change.index;
+    }
+
+    /**
+     * Move a folder, with its notebooks and subfolders, to a new path in one
+     * commit, along with any rewritten notebook files
+     * @param {string|null} to - New path, or null to move the contents to the root
+     * @param {Array} files - Extra files for the same commit ({ path, content, baseSha })
+     */
+    async function moveFolder(from, to, message, files = []) {
+        const movePath = path => {
+            if (!path || (path !== from && !path.startsWith(from + '/'))) {
+                return path || null;
+            }
+            return [to, path.slice(from.length + 1)].filter(Boolean).join('/') || null;
+        };
+
+        const change = notebookIndexChange(index => {
+            index.notebooks.forEach(nb => {
+                nb.folder = movePath(nb.folder);
+            });
+            index.folders = [...new Set((index.folders || []).map(movePath).filter(Boolean))].sort();
+        });
+
+        await commitFiles([...files, change], message);
+
+        return change.index;
+    }
+
+    /**
+     * Rename a notebook: move its file to the new ID and update its index
+     * entry in one commit, along with notebooks rewritten to link to it
+     * @param {string} content - The notebook's markdown under its new title
+     * @param {string} baseSha - Blob SHA the rename started from; the commit
+     *   fails with a 409 conflict if the file moved on
+     * @param {Array} files - Rewritten linking notebooks ({ path, content, baseSha })
+     */
+    async function renameNotebook(oldId, newId, title, content, baseSha = undefined, files = []) {
+        const retitle = entry => {
+            entry.id = newId;
+            entry.title = entry.hideTitle ? HIDDEN_TITLE : title;
+            entry.updatedAt = new Date().toISOString().split('T')[0];
+        };
+
+        const current = (await getNotebookIndex()).notebooks.find(nb => nb.id === oldId) || { id: oldId, title: oldId };
+        const oldTitle = current.title;
+        const oldPath = notebookPath(current);
+        retitle(current);
+
+        const changes = newId === oldId
+            ? [{ path: oldPath, content, baseSha }]
+            : [
+                { path: oldPath, delete: true, baseSha },
+                { path: notebookPath(current), content, baseSha: null }
+            ];
+
+        const change = notebookIndexChange(index => {
+            const entry = index.notebooks.find(nb => nb.id === oldId);
+            if (entry) {
+                retitle(entry);
+            }
+        });
+
+        await commitFiles([...changes, ...files, change], `Rename notebook: ${oldTitle} to ${current.title}`);
+
+        return change.index;
+    }
+
+    /**
+     * Delete a notebook's file and index entry in one commit
+     * @param {string} baseSha - Blob SHA the user saw; the commit fails
+     *   with a 409 conflict if the file changed since
+     */
+    async function deleteNotebook(id, baseSha = undefined) {
+        const entry = (await getNotebookIndex()).notebooks.find(nb => nb.id === id);
+
+        const change = notebookIndexChange(index => {
+            index.notebooks = index.notebooks.filter(nb => nb.id !== id);
+            index.tags = collectTags(index.notebooks);
+        });
+
+        await commitFiles([
+            { path: notebookPath(entry || { id }), delete: true, baseSha },
+            change
+        ], `Delete notebook: ${entry ? entry.title : id}`);
+
+        return change.index;
+    }
+
+    /**
+     * Save a whiteboard (scene JSON + preview PNG + update index) in one commit
+     * @param {string} id - Whiteboard ID (file name without extension)
+     * @param {string} title - Display title
+     * @param {object} scene - Scene from Whiteboard.getScene()
+     * @param {string} previewBase64 - PNG preview, base64 encoded
+     */
+    async function saveWhiteboard(id, title, scene, previewBase64) {
+        await commitFiles([
+            { path: `whiteboards/${id}.json`, content: JSON.stringify({ title, ...scene }) },
+            { path: `whiteboards/${id}.png`, content: previewBase64, isBase64: true },
+            indexChange(WHITEBOARD_INDEX_PATH, index => updateWhiteboardIndex(index, id, title), () => ({ whiteboards: [] }))
+        ], `Update whiteboard: ${title}`);
+
+        return true;
+    }
+
+    /**
+     * Update a whiteboard's entry in the index
+     */
+    function updateWhiteboardIndex(index, id, title) {
+        const now = new Date().toISOString().split('T')[0];
+        const whiteboard = index.whiteboards.find(w => w.id === id);
+
+        if (whiteboard) {
+            whiteboard.title = title;
+            whiteboard.updatedAt = now;
+        } else {
+            index.whiteboards.push({
+                id,
+                title,
+                createdAt: now,
+                updatedAt: now
+            });
+        }
 
         return index;
     }
@@ -264,12 +709,14 @@ const GitHub = (function() {
     }
 
     /**
-     * Test the connection with current token
+     * Test the connection with the saved token and repo, or ones that
+     * haven't been saved yet
+     * @param {Object} [settings] - { token, owner, repo } to try instead
      */
-    async function testConnection() {
-        const { owner, repo } = getRepoConfig();
+    async function testConnection(settings = {}) {
+        const { owner, repo } = settings.owner && settings.repo ? settings : getRepoConfig();
         try {
-            await apiRequest(`/repos/${owner}/${repo}`);
+            await apiRequest(`/repos/${owner}/${repo}`, { token: settings.token || getToken() });
             return { success: true };
         } catch (e) {
             return { success: false, error: e.message };
@@ -278,16 +725,31 @@ const GitHub = (function() {
 
     // Public API
     return {
+        init,
         getToken,
         setToken,
         isConfigured,
         getRepoConfig,
         setRepoConfig,
         getFile,
+        getFileHistory,
+        blobSha,
         saveFile,
+        commitFiles,
         deleteFile,
         listFiles,
+        listFilesRecursive,
+        listBlobShas,
+        collectTags,
         saveNotebook,
+        notebookPath,
+        updateNotebookTags,
+        moveNotebooks,
+        createFolder,
+        moveFolder,
+        renameNotebook,
+        deleteNotebook,
+        saveWhiteboard,
         createNotebook,
         testConnection
     };
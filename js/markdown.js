@@ -12,6 +12,130 @@ const Markdown = (function() {
         mangle: false
     };
 
+    // Notebook index entries used to resolve [[wiki links]]
+    let notebookIndex = [];
+
+    // Elements kept in rendered markdown; others are unwrapped to their content
+    const ALLOWED_TAGS = new Set([
+        'a', 'abbr', 'aside', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'details',
+        'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+        'i', 'img', 'input', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small',
+        'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
+        'u', 'ul', 'var',
+        // KaTeX output
+        'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'msup',
+        'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover', 'mtable', 'mtr',
+        'mtd', 'mstyle', 'mpadded', 'mphantom', 'menclose', 'merror', 'svg', 'path', 'line'
+    ]);
+
+    // Elements removed together with their content
+    const DROPPED_TAGS = new Set([
+        'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'noscript', 'noembed', 'noframes', 'xmp', 'plaintext', 'textarea', 'select', 'button', 'form',
+        'title', 'head', 'meta', 'link', 'base', 'foreignobject', 'use', 'animate', 'set', 'image'
+    ]);
+
+    // Attributes allowed on any kept element, besides data-* and aria-*.
+    // id, class and style are handled separately so notebooks can't clobber
+    // app element IDs, reuse app classes or draw over the UI.
+    const GLOBAL_ATTRIBUTES = ['title', 'lang', 'dir', 'role', 'align'];
+
+    // Prefix for element IDs in rendered markdown
+    const ID_PREFIX = 'user-content-';
+
+    // Classes the renderer emits; any other class is dropped
+    const CONTENT_CLASSES = new Set([
+        'task-list-item', 'wiki-link', 'wiki-link-broken', 'whiteboard-embed', 'property-tag', 'properties-panel'
+    ]);
+    const CODE_LANGUAGE_CLASS = /^language-[\w+#.-]+$/;
+
+    // Attributes allowed on particular elements
+    const TAG_ATTRIBUTES = {
+        a: ['href', 'target', 'rel'],
+        img: ['src', 'alt', 'width', 'height', 'loading'],
+        input: ['type', 'checked', 'disabled'],
+        ol: ['start', 'type'],
+        li: ['value'],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan', 'scope'],
+        details: ['open'],
+        math: ['xmlns', 'display'],
+        annotation: ['encoding'],
+        svg: ['xmlns', 'width', 'height', 'viewbox', 'preserveaspectratio', 'fill', 'stroke'],
+        path: ['d', 'fill', 'stroke', 'stroke-width'],
+        line: ['x1', 'y1', 'x2', 'y2', 'stroke', 'stroke-width']
+    };
+
+    // MathML presentation attributes KaTeX emits
+    const MATHML_ATTRIBUTES = [
+        'mathvariant', 'mathcolor', 'mathbackground', 'stretchy', 'fence', 'separator', 'lspace', 'rspace',
+        'accent', 'accentunder', 'columnalign', 'columnspacing', 'rowspacing', 'columnlines', 'rowlines',
+        'scriptlevel', 'displaystyle', 'width', 'height', 'depth', 'voffset', 'minsize', 'maxsize',
+        'movablelimits', 'notation', 'linethickness', 'symmetric', 'largeop', 'linebreak'
+    ];
+
+    // Link targets that can't run script
+    const SAFE_URL_PATTERN = /^(?:(?:https?|mailto|tel):|[^a-z]|[a-z\d+.-]+(?:[^a-z\d+.:-]|$))/i;
+    const SAFE_DATA_IMAGE_PATTERN = /^data:image\/(?:png|gif|jpe?g|webp);base64,/i;
+
+    // Repo path -> promise of an object URL, for assets fetched through the API.
+    // Failed fetches stay cached (see forgetMissingAssets) so typing a path
+    // in the editor doesn't request every partial path again.
+    const assetURLs = new Map();
+    const missingAssets = new Set();
+
+    // Preview container -> timer for assets still waiting to be fetched
+    const assetTimers = new WeakMap();
+
+    // Content types for assets fetched as blobs, by extension
+    const ASSET_TYPES = {
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        svg: 'image/svg+xml',
+        pdf: 'application/pdf'
+    };
+
+    // Types a link may open in a tab. Anything else (SVG can hold script)
+    // is downloaded rather than shown in the app's origin.
+    const OPENABLE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+
+    // YAML front matter at the very top of a notebook
+    const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+    // Fenced blocks and code spans, which never contain tags or links
+    const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]*`/g;
+
+    // #tags, but not headings, URL fragments, entities or [link](#anchors)
+    const TAG_PREFIX = '(^|[^\\w&#/(\\[])#';
+    const TAG_NAME = '[a-zA-Z][\\w-]*';
+
+    // Inline [[Title]], [[id#heading]] and [[target|label]] links
+    const wikiLinkExtension = {
+        name: 'wikiLink',
+        level: 'inline',
+        start(src) {
+            const index = src.indexOf('[[');
+            return index < 0 ? undefined : index;
+        },
+        tokenizer(src) {
+            const match = /^\[\[([^\[\]\n|]+)(?:\|([^\[\]\n]+))?\]\]/.exec(src);
+            if (match) {
+                return {
+                    type: 'wikiLink',
+                    raw: match[0],
+                    target: match[1].trim(),
+                    label: (match[2] || '').trim()
+                };
+            }
+        },
+        renderer(token) {
+            return renderWikiLink(token.target, token.label);
+        }
+    };
+
     /**
      * Initialize marked with custom renderer
      */
@@ -28,9 +152,7 @@ const Markdown = (function() {
 
         // Add IDs to headings for linking
         renderer.heading = function(text, level) {
-            const id = text.toLowerCase()
-                .replace(/[^\w\s-]/g, '')
-                .replace(/\s+/g, '-');
+            const id = slugify(text);
             return `<h${level} id="${id}">${text}</h${level}>`;
         };
 
@@ -45,47 +167,187 @@ const Markdown = (function() {
             return `<li>${text}</li>`;
         };
 
-        marked.use({ renderer });
+        // Embed saved whiteboards: ```whiteboard <id>```
+        renderer.code = function(code, infostring) {
+            const id = parseWhiteboardFence(infostring, code);
+            if (id) {
+                return renderWhiteboardEmbed(id);
+            }
+            return false; // Fall back to the default code renderer
+        };
+
+        marked.use({ renderer, extensions: [wikiLinkExtension] });
+    }
+
+    /**
+     * Turn heading text into an anchor ID
+     */
+    function slugify(text) {
+        return text
+            .replace(/<[^>]+>/g, '')
+            .toLowerCase()
+            .replace(/[^\w\s-]/g, '')
+            .trim()
+            .replace(/\s+/g, '-');
+    }
+
+    /**
+     * Set the notebook index used to resolve wiki links
+     */
+    function setNotebooks(notebooks) {
+        notebookIndex = notebooks || [];
+    }
+
+    /**
+     * Resolve a wiki link target ("Title", "id" or either with "#heading")
+     * @returns {{id: string|null, heading: string}|null} null if no notebook
+     *   matches; id is null for links to a heading in the same notebook
+     */
+    function resolveWikiLink(target) {
+        const hashIndex = target.indexOf('#');
+        const name = (hashIndex >= 0 ? target.slice(0, hashIndex) : target).trim();
+        const heading = hashIndex >= 0 ? slugify(target.slice(hashIndex + 1)) : '';
+
+        if (!name) {
+            return { id: null, heading };
+        }
+
+        const lower = name.toLowerCase();
+        const notebook = notebookIndex.find(nb => nb.id === name) ||
+            notebookIndex.find(nb => (nb.title || '').toLowerCase() === lower) ||
+            notebookIndex.find(nb => (nb.aliases || []).some(a => a.toLowerCase() === lower)) ||
+            notebookIndex.find(nb => nb.id === slugify(name));
+
+        return notebook ? { id: notebook.id, heading } : null;
+    }
+
+    /**
+     * Render a wiki link, flagging targets that don't resolve
+     */
+    function renderWikiLink(target, label) {
+        const text = escapeHtml(label || target);
+        const link = resolveWikiLink(target);
+
+        if (!link) {
+            return `<a href="#" class="wiki-link wiki-link-broken" title="No notebook named &quot;${escapeHtml(target)}&quot;">${text}</a>`;
+        }
+
+        return `<a href="#${link.heading}" class="wiki-link" data-wiki-target="${escapeHtml(link.id || '')}" data-wiki-heading="${link.heading}">${text}</a>`;
+    }
+
+    /**
+     * Extract wiki link targets from markdown (ignoring code)
+     */
+    function extractWikiLinks(markdown) {
+        const text = markdown
+            .replace(/```[\s\S]*?```/g, '')
+            .replace(/`[^`\n]*`/g, '');
+        const linkRegex = /\[\[([^\[\]\n|]+)(?:\|[^\[\]\n]+)?\]\]/g;
+        const targets = [];
+        let match;
+
+        while ((match = linkRegex.exec(text)) !== null) {
+            targets.push(match[1].trim());
+        }
+
+        return targets;
+    }
+
+    /**
+     * Point wiki links that resolve to a notebook at a new target, keeping
+     * any #heading and |label (ignoring code). Resolves against the current
+     * index, so call it before the index changes.
+     */
+    function replaceWikiLinks(markdown, id, target) {
+        return replaceOutsideCode(markdown, text => text.replace(
+            /\[\[([^\[\]\n|]+)(\|[^\[\]\n]+)?\]\]/g,
+            (link, current, label = '') => {
+                const resolved = resolveWikiLink(current.trim());
+                if (!resolved || resolved.id !== id) {
+                    return link;
+                }
+
+                const hashIndex = current.indexOf('#');
+                const heading = hashIndex >= 0 ? current.slice(hashIndex).trimEnd() : '';
+                return `[[${target}${heading}${label}]]`;
+            }
+        ));
+    }
+
+    /**
+     * Get the whiteboard ID from a ```whiteboard fence, or null for other
+     * code blocks. The ID may follow the language or sit on the first line.
+     */
+    function parseWhiteboardFence(infostring, code) {
+        const info = (infostring || '').trim().split(/\s+/);
+        if (info[0] !== 'whiteboard') {
+            return null;
+        }
+
+        const id = (info[1] || code.trim().split('\n')[0] || '').trim();
+        return /^[\w-]+$/.test(id) ? id : null;
+    }
+
+    /**
+     * Render an inline preview for an embedded whiteboard
+     */
+    function renderWhiteboardEmbed(id) {
+        return `<figure class="whiteboard-embed" data-whiteboard="${id}" title="Open whiteboard">
+            <img src="whiteboards/${id}.png" data-repo-path="whiteboards/${id}.png" alt="Whiteboard: ${id}" loading="lazy">
+            <figcaption>Whiteboard: ${id} &middot; click to edit</figcaption>
+        </figure>`;
     }
 
     /**
      * Process math expressions in text
-     * Supports $inline$ and $$block$$ syntax
+     * Supports $inline$ and $$block$$ syntax. Each expression is replaced by
+     * a placeholder and its KaTeX output pushed to rendered (see insertMath).
      */
-    function processMath(html) {
+    function processMath(html, rendered) {
         if (typeof katex === 'undefined') {
             return html;
         }
 
-        // Process block math ($$...$$)
-        html = html.replace(/\$\$([^$]+)\$\$/g, (match, math) => {
+        const placeholder = (match, math, displayMode) => {
             try {
-                return katex.renderToString(math.trim(), {
-                    displayMode: true,
+                rendered.push(katex.renderToString(math.trim(), {
+                    displayMode,
                     throwOnError: false
-                });
+                }));
+                return `<span data-math="${rendered.length - 1}"></span>`;
             } catch (e) {
                 console.warn('KaTeX error:', e);
                 return match;
             }
-        });
+        };
+
+        // Process block math ($$...$$)
+        html = html.replace(/\$\$([^$]+)\$\$/g, (match, math) => placeholder(match, math, true));
 
         // Process inline math ($...$)
-        html = html.replace(/\$([^$\n]+)\$/g, (match, math) => {
-            try {
-                return katex.renderToString(math.trim(), {
-                    displayMode: false,
-                    throwOnError: false
-                });
-            } catch (e) {
-                console.warn('KaTeX error:', e);
-                return match;
-            }
-        });
+        html = html.replace(/\$([^$\n]+)\$/g, (match, math) => placeholder(match, math, false));
 
         return html;
     }
 
+    /**
+     * Swap math placeholders in a sanitized fragment for their KaTeX output.
+     * This happens after sanitizing because KaTeX needs the class and style
+     * attributes notebook HTML isn't allowed.
+     */
+    function insertMath(fragment, rendered) {
+        fragment.querySelectorAll('span[data-math]').forEach(placeholder => {
+            const index = placeholder.dataset.math;
+            if (!/^\d+$/.test(index) || index >= rendered.length) {
+                return;
+            }
+
+            const template = document.createElement('template');
+            template.innerHTML = rendered[index];
+            placeholder.replaceWith(template.content);
+        });
+    }
+
     /**
      * Apply syntax highlighting to code blocks
      */
@@ -100,23 +362,145 @@ const Markdown = (function() {
         });
     }
 
+    /**
+     * Split YAML front matter (between --- lines at the top) from the body
+     * @returns {{data: Object, body: string}} data is empty without front matter
+     */
+    function parseFrontMatter(markdown) {
+        const match = FRONT_MATTER_PATTERN.exec(markdown);
+        if (!match) {
+            return { data: {}, body: markdown };
+        }
+
+        return {
+            data: parseYaml(match[1]),
+            body: markdown.slice(match[0].length)
+        };
+    }
+
+    /**
+     * Parse the flat subset of YAML used in front matter: scalars,
+     * [inline, lists] and "- item" block lists
+     */
+    function parseYaml(yaml) {
+        const data = {};
+        const blockKeys = [];
+        let listKey = null;
+
+        yaml.split(/\r?\n/).forEach(line => {
+            if (!line.trim() || /^\s*#/.test(line)) return;
+
+            const item = /^\s*-\s+(.*)$/.exec(line);
+            if (item && listKey) {
+                data[listKey].push(parseYamlScalar(item[1]));
+                return;
+            }
+
+            const pair = /^([\w-]+)\s*:\s*(.*)$/.exec(line);
+            if (!pair) return;
+
+            const [, key, value] = pair;
+            listKey = null;
+
+            if (value === '') {
+                // Either a block list follows or the value is empty
+                data[key] = [];
+                listKey = key;
+                blockKeys.push(key);
+            } else if (/^\[.*\]$/.test(value)) {
+                data[key] = value.slice(1, -1).split(',')
+                    .map(v => parseYamlScalar(v.trim()))
+                    .filter(v => v !== '');
+            } else {
+                data[key] = parseYamlScalar(value);
+            }
+        });
+
+        blockKeys
+            .filter(key => data[key].length === 0)
+            .forEach(key => { data[key] = ''; });
+
+        return data;
+    }
+
+    /**
+     * Parse a single YAML scalar (quoted string, number, boolean or text)
+     */
+    function parseYamlScalar(value) {
+        value = value.replace(/\s+#.*$/, '').trim();
+
+        const quoted = /^(["'])(.*)\1$/.exec(value);
+        if (quoted) return quoted[2];
+        if (value === 'true' || value === 'false') return value === 'true';
+        if (value === 'null' || value === '~') return null;
+        if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+        return value;
+    }
+
+    /**
+     * Notebook metadata from front matter, falling back to the content
+     * @returns {{title, tags, folder, createdAt, aliases, properties}}
+     *   folder and createdAt are undefined when the front matter doesn't set them
+     */
+    function extractMetadata(markdown) {
+        const { data } = parseFrontMatter(markdown);
+        const { title, tags, folder, created, aliases, ...properties } = data;
+        const toList = value => (Array.isArray(value) ? value : [value])
+            .filter(v => v !== null && v !== '')
+            .map(String);
+
+        return {
+            title: title ? String(title) : extractTitle(markdown),
+            tags: extractTags(markdown),
+            folder: folder === undefined ? undefined : (folder ? String(folder) : null),
+            createdAt: created ? String(created) : undefined,
+            aliases: aliases ? toList(aliases) : [],
+            properties
+        };
+    }
+
+    /**
+     * Render front matter as a properties panel
+     */
+    function renderProperties(data) {
+        const rows = Object.entries(data).map(([key, value]) => {
+            const values = Array.isArray(value) ? value : [value];
+            const rendered = key === 'tags'
+                ? values.map(v => `<span class="property-tag">#${escapeHtml(v)}</span>`).join(' ')
+                : values.map(v => escapeHtml(v === null ? '' : v)).join(', ');
+            return `<dt>${escapeHtml(key)}</dt><dd>${rendered}</dd>`;
+        });
+
+        return rows.length > 0
+            ? `<aside class="properties-panel"><dl>${rows.join('')}</dl></aside>`
+            : '';
+    }
+
     /**
      * Parse markdown to HTML
+     * @param {string[]} math - Receives KaTeX output for the math
+     *   placeholders in the HTML, which render inserts after sanitizing
      */
-    function parse(markdown) {
+    function parse(markdown, math = []) {
         if (typeof marked === 'undefined') {
             return escapeHtml(markdown);
         }
 
-        let html = marked.parse(markdown);
-        html = processMath(html);
-        return html;
+        const { data, body } = parseFrontMatter(markdown);
+
+        let html = marked.parse(body);
+        html = processMath(html, math);
+        return renderProperties(data) + html;
     }
 
     /**
      * Render markdown into a container element
+     * @param {Object} options - path: repo path of the notebook, which
+     *   relative image and link paths are resolved against; assetDelay:
+     *   ms to wait before fetching assets that aren't cached yet (for
+     *   previews that re-render as you type)
      */
-    function render(markdown, container) {
+    function render(markdown, container, options = {}) {
         if (typeof container === 'string') {
             container = document.querySelector(container);
         }
@@ -126,14 +510,282 @@ const Markdown = (function() {
             return;
         }
 
-        container.innerHTML = parse(markdown);
+        const math = [];
+        const fragment = sanitize(parse(markdown, math));
+        insertMath(fragment, math);
+        holdAssets(fragment, options.path || '');
+        container.replaceChildren(fragment);
         highlightCode(container);
+        resolveAssets(container, options.assetDelay || 0);
+    }
+
+    /**
+     * Parse HTML into a fragment holding only allow-listed elements and
+     * attributes, so notebooks can't run script or load javascript: URLs.
+     * The fragment is inserted as is, never re-serialized, so what was
+     * checked is exactly what ends up in the page.
+     */
+    function sanitize(html) {
+        // Template content is inert: nothing loads or runs while we clean it
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        sanitizeChildren(template.content);
+        return template.content;
+    }
+
+    /**
+     * Clean a node's children in place
+     */
+    function sanitizeChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove(); // Comments, processing instructions
+                return;
+            }
+
+            const tag = node.localName.toLowerCase();
+            if (DROPPED_TAGS.has(tag)) {
+                node.remove();
+                return;
+            }
+
+            sanitizeChildren(node);
+
+            if (!ALLOWED_TAGS.has(tag) || (tag === 'input' && node.getAttribute('type') !== 'checkbox')) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            sanitizeAttributes(node, tag);
+        });
+    }
+
+    /**
+     * Remove attributes an element isn't allowed, and unsafe values
+     */
+    function sanitizeAttributes(el, tag) {
+        const allowed = TAG_ATTRIBUTES[tag] || [];
+        const isMathML = el.namespaceURI === 'http://www.w3.org/1998/Math/MathML';
+
+        Array.from(el.attributes).forEach(attr => {
+            const name = attr.name.toLowerCase();
+            const value = attr.value;
+
+            const keep = (GLOBAL_ATTRIBUTES.includes(name) || allowed.includes(name) || name === 'id' || name === 'class' ||
+                    /^(data|aria)-[\w.-]+$/.test(name) || (isMathML && MATHML_ATTRIBUTES.includes(name))) &&
+                !(name === 'href' && !isSafeURL(value)) &&
+                !(name === 'src' && !isSafeURL(value) && !SAFE_DATA_IMAGE_PATTERN.test(value));
+
+            if (!keep) {
+                el.removeAttribute(attr.name);
+            }
+        });
+
+        // Prefixed IDs and content classes only (see GLOBAL_ATTRIBUTES)
+        const id = el.getAttribute('id');
+        if (id) {
+            el.setAttribute('id', anchorId(id));
+        }
+
+        const classes = Array.from(el.classList).filter(name =>
+            CONTENT_CLASSES.has(name) || (tag === 'code' && CODE_LANGUAGE_CLASS.test(name)));
+        if (classes.length > 0) {
+            el.setAttribute('class', classes.join(' '));
+        } else {
+            el.removeAttribute('class');
+        }
+
+        // In-page links point at the prefixed IDs
+        const href = el.getAttribute('href');
+        if (tag === 'a' && href && href.length > 1 && href.startsWith('#')) {
+            el.setAttribute('href', '#' + anchorId(href.slice(1)));
+        }
+
+        if (tag === 'input') {
+            el.setAttribute('disabled', '');
+        }
+        if (tag === 'a' && el.getAttribute('target')) {
+            el.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+
+    /**
+     * Element ID of an anchor in rendered markdown, such as a heading slug
+     */
+    function anchorId(name) {
+        return ID_PREFIX + name;
+    }
+
+    /**
+     * Check that a URL is relative or uses a scheme that can't run script
+     */
+    function isSafeURL(url) {
+        // Browsers ignore whitespace and control characters in schemes
+        return SAFE_URL_PATTERN.test(url.replace(/[\u0000-\u0020\u007f-\u009f]/g, ''));
+    }
+
+    /**
+     * Turn a relative link into a path in the repo, or null for URLs,
+     * anchors and site-absolute paths
+     * @param {string} basePath - Repo path of the file the link is in
+     */
+    function resolveAssetPath(link, basePath) {
+        if (!link || /^([a-z][a-z\d+.-]*:|\/|#)/i.test(link)) {
+            return null;
+        }
+
+        try {
+            const url = new URL(link, `https://repo.invalid/${basePath}`);
+            return decodeURIComponent(url.pathname.slice(1));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Mark relative images and file links with the repo path they point
+     * at, holding back image sources until resolveAssets() points them
+     * somewhere that loads. Links to other notebooks are left alone.
+     * @param {string} basePath - Repo path of the notebook, e.g. notebooks/id.md
+     */
+    function holdAssets(fragment, basePath) {
+        fragment.querySelectorAll('img[src], a[href]').forEach(el => {
+            const attribute = el.tagName === 'IMG' ? 'src' : 'href';
+            const path = el.dataset.repoPath || resolveAssetPath(el.getAttribute(attribute), basePath);
+            if (!path || path.endsWith('/') || (attribute === 'href' && /\.md$/i.test(path))) return;
+
+            el.dataset.repoPath = path;
+            if (attribute === 'src') {
+                el.removeAttribute('src');
+            }
+        });
+    }
+
+    /**
+     * Point held images and file links at something the browser can
+     * load. Without GitHub they become paths relative to the app, which
+     * is served from the repo root; with GitHub they're fetched through
+     * the API, so private repos and unpublished files work too.
+     * @param {number} delay - Wait this long before fetching anything not cached yet
+     */
+    function resolveAssets(container, delay = 0) {
+        clearTimeout(assetTimers.get(container));
+        let waiting = false;
+
+        container.querySelectorAll('[data-repo-path]').forEach(el => {
+            const path = el.dataset.repoPath;
+            const attribute = el.tagName === 'IMG' ? 'src' : 'href';
+            const download = attribute === 'href' && !OPENABLE_TYPES.includes(assetType(path));
+            if (download) {
+                el.setAttribute('download', path.split('/').pop());
+            }
+
+            if (typeof GitHub === 'undefined' || !GitHub.isConfigured()) {
+                el.setAttribute(attribute, path);
+                return;
+            }
+
+            if (delay > 0 && !assetURLs.has(assetKey(path, download))) {
+                waiting = true;
+                return;
+            }
+
+            getAssetURL(path, download)
+                .then(url => {
+                    el.setAttribute(attribute, url);
+                    if (attribute === 'href' && !download) {
+                        el.target = '_blank';
+                    }
+                })
+                .catch(() => el.classList.add('asset-missing'));
+        });
+
+        if (waiting) {
+            assetTimers.set(container, setTimeout(() => resolveAssets(container), delay));
+        }
+    }
+
+    /**
+     * Content type for a repo path, by extension
+     */
+    function assetType(path) {
+        return ASSET_TYPES[path.split('.').pop().toLowerCase()] || 'application/octet-stream';
+    }
+
+    /**
+     * Cache key for an asset: downloads get their own, untyped copy
+     */
+    function assetKey(path, download) {
+        return download ? `${path}#download` : path;
+    }
+
+    /**
+     * Get an object URL for a file in the repo, fetching it once
+     * @param {boolean} download - Serve it as application/octet-stream
+     */
+    function getAssetURL(path, download = false) {
+        const key = assetKey(path, download);
+        if (!assetURLs.has(key)) {
+            const pending = GitHub.getFile(path, null, true).then(file => {
+                if (!file) {
+                    throw new Error(`${path} not found`);
+                }
+                const type = download ? 'application/octet-stream' : assetType(path);
+                return URL.createObjectURL(new Blob([file.content], { type }));
+            });
+
+            pending.catch(err => {
+                missingAssets.add(key);
+                console.warn('Could not load asset:', path, err);
+            });
+            assetURLs.set(key, pending);
+        }
+        return assetURLs.get(key);
+    }
+
+    /**
+     * Cache a file's content for a repo path, e.g. one just uploaded,
+     * so it isn't fetched back
+     */
+    function cacheAsset(path, blob) {
+        forgetAsset(path);
+        assetURLs.set(path, Promise.resolve(URL.createObjectURL(blob)));
+    }
+
+    /**
+     * Drop the cached copies of a repo path that has changed
+     */
+    function forgetAsset(path) {
+        [assetKey(path, false), assetKey(path, true)].forEach(key => {
+            const cached = assetURLs.get(key);
+            if (cached) {
+                assetURLs.delete(key);
+                missingAssets.delete(key);
+                cached.then(url => URL.revokeObjectURL(url), () => {});
+            }
+        });
+    }
+
+    /**
+     * Let assets that couldn't be found be fetched again, e.g. after a save
+     */
+    function forgetMissingAssets() {
+        missingAssets.forEach(key => assetURLs.delete(key));
+        missingAssets.clear();
     }
 
     /**
      * Extract title from markdown (first h1 or first line)
      */
     function extractTitle(markdown) {
+        const { data, body } = parseFrontMatter(markdown);
+        if (data.title) {
+            return String(data.title);
+        }
+        markdown = body;
+
         // Try to find first h1
         const h1Match = markdown.match(/^#\s+(.+)$/m);
         if (h1Match) {
@@ -149,32 +801,133 @@ const Markdown = (function() {
         return 'Untitled';
     }
 
+    /**
+     * Change a field that the front matter already sets. An array is
+     * written as an [inline, list], replacing any block list.
+     * @returns {string|null} The new markdown, or null if the field isn't set
+     */
+    function setFrontMatterField(markdown, key, value) {
+        const match = FRONT_MATTER_PATTERN.exec(markdown);
+        const field = new RegExp(`^${key}[ \\t]*:.*(?:\\r?\\n[ \\t]*-[ \\t]+.*)*$`, 'm');
+        if (!match || !field.test(match[1])) {
+            return null;
+        }
+
+        // Commas would split an inline list item, so quote those
+        const plain = Array.isArray(value) ? /^[\w .!?()/-]*$/ : /^[\w .,!?()/-]*$/;
+        const scalar = item => {
+            const text = item === null ? '' : String(item);
+            return plain.test(text) ? text : `"${text.replace(/"/g, "'")}"`;
+        };
+        const yaml = Array.isArray(value) ? `[${value.map(scalar).join(', ')}]` : scalar(value);
+        const frontMatter = match[0].replace(field, () => `${key}: ${yaml}`.trimEnd());
+        return frontMatter + markdown.slice(match[0].length);
+    }
+
+    /**
+     * Change a document's title where extractTitle() reads it from: the
+     * front matter title, else the first h1, else a new h1 at the top
+     */
+    function setTitle(markdown, title) {
+        const updated = setFrontMatterField(markdown, 'title', title);
+        if (updated !== null) {
+            return updated;
+        }
+
+        const match = FRONT_MATTER_PATTERN.exec(markdown);
+        const head = match ? match[0] : '';
+        const body = markdown.slice(head.length);
+        if (/^#\s+.+$/m.test(body)) {
+            return head + body.replace(/^#\s+.+$/m, () => `# ${title}`);
+        }
+        return `${head}# ${title}\n\n${body}`;
+    }
+
+    /**
+     * Apply a replacement to the parts of markdown outside code
+     */
+    function replaceOutsideCode(markdown, replace) {
+        let result = '';
+        let last = 0;
+
+        markdown.replace(CODE_PATTERN, (code, offset) => {
+            result += replace(markdown.slice(last, offset)) + code;
+            last = offset + code.length;
+            return code;
+        });
+
+        return result + replace(markdown.slice(last));
+    }
+
     /**
      * Extract tags from markdown (looks for #tag format)
      */
     function extractTags(markdown) {
-        const tagRegex = /(?:^|\s)#([a-zA-Z][a-zA-Z0-9_-]*)/g;
+        const tagRegex = new RegExp(TAG_PREFIX + `(${TAG_NAME})`, 'gm');
+        const { data, body } = parseFrontMatter(markdown);
         const tags = new Set();
-        let match;
 
-        while ((match = tagRegex.exec(markdown)) !== null) {
-            // Skip if it looks like a heading
-            if (match.index === 0 || markdown[match.index - 1] === '\n') {
-                continue;
+        frontMatterTags(data).forEach(t => tags.add(t));
+
+        replaceOutsideCode(body, text => {
+            let match;
+            while ((match = tagRegex.exec(text)) !== null) {
+                tags.add(match[2].toLowerCase());
             }
-            tags.add(match[1].toLowerCase());
-        }
+            return text;
+        });
 
         return Array.from(tags);
     }
 
     /**
-     * Escape HTML characters
+     * Tags declared in front matter: [a, b], a block list, or "a, b"
+     */
+    function frontMatterTags(data) {
+        const declared = Array.isArray(data.tags) ? data.tags : String(data.tags || '').split(',');
+        return declared.map(t => String(t).trim().replace(/^#/, '').toLowerCase())
+            .filter(isValidTag);
+    }
+
+    /**
+     * Check that a string is a valid tag name (without the #)
+     */
+    function isValidTag(tag) {
+        return new RegExp(`^${TAG_NAME}$`).test(tag);
+    }
+
+    /**
+     * Rewrite every #from tag in markdown as #to, and from in the front
+     * matter tags list
+     */
+    function replaceTag(markdown, from, to) {
+        const escaped = from.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+        const tagRegex = new RegExp(TAG_PREFIX + escaped + '(?![\\w-])', 'gim');
+
+        const match = FRONT_MATTER_PATTERN.exec(markdown);
+        const head = match ? match[0] : '';
+        const updated = head + replaceOutsideCode(markdown.slice(head.length), text => text.replace(tagRegex, `$1#${to}`));
+
+        const { data } = parseFrontMatter(markdown);
+        const declared = frontMatterTags(data);
+        if (!declared.includes(from.toLowerCase())) {
+            return updated;
+        }
+
+        const tags = [...new Set(declared.map(t => (t === from.toLowerCase() ? to : t)))];
+        return setFrontMatterField(updated, 'tags', tags) ?? updated;
+    }
+
+    /**
+     * Escape text for use inside an HTML element or quoted attribute
      */
     function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return (text === null || text === undefined ? '' : String(text))
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
@@ -185,12 +938,12 @@ const Markdown = (function() {
         const toc = [];
         let match;
 
+        markdown = parseFrontMatter(markdown).body;
+
         while ((match = headingRegex.exec(markdown)) !== null) {
             const level = match[1].length;
             const text = match[2].trim();
-            const id = text.toLowerCase()
-                .replace(/[^\w\s-]/g, '')
-                .replace(/\s+/g, '-');
+            const id = slugify(text);
 
             toc.push({ level, text, id });
         }
@@ -210,8 +963,25 @@ const Markdown = (function() {
         init,
         parse,
         render,
+        sanitize,
+        anchorId,
+        resolveAssets,
+        cacheAsset,
+        forgetMissingAssets,
+        forgetAsset,
         extractTitle,
+        setTitle,
+        setFrontMatterField,
         extractTags,
+        extractMetadata,
+        parseFrontMatter,
+        isValidTag,
+        replaceTag,
+        extractWikiLinks,
+        replaceWikiLinks,
+        resolveWikiLink,
+        setNotebooks,
+        slugify,
         generateTOC,
         escapeHtml
     };
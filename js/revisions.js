@@ -0,0 +1,398 @@
+/**
+ * Moleskine - Revisions Module
+ * Revision history of a notebook: the commits that touched its file,
+ * previews of old versions and diffs between any two of them
+ */
+
+const Revisions = (function() {
+    // Unchanged lines shown around each change in a diff
+    const CONTEXT_LINES = 3;
+
+    // Compare targets besides commit SHAs
+    const CURRENT = 'current';
+    const EMPTY = 'empty';
+
+    let notebook = null;   // { id, title, content }
+    let revisions = [];    // { sha, message, author, date }, newest first
+    let selected = null;   // SHA of the revision being viewed
+    let compareTo = EMPTY; // SHA, CURRENT or EMPTY
+    let mode = 'preview';  // 'preview' or 'diff'
+    let layout = 'inline'; // 'inline' or 'split'
+    const contents = new Map(); // SHA -> markdown at that commit
+    const restoreListeners = [];
+    let initialized = false;
+
+    /**
+     * Set up the panel's event listeners
+     */
+    function init() {
+        if (initialized) return;
+
+        const list = document.getElementById('history-list');
+        const toolbar = document.getElementById('history-toolbar');
+        if (!list || !toolbar) return;
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-revision]');
+            if (item) {
+                e.preventDefault();
+                selectRevision(item.dataset.revision);
+            }
+        });
+
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.dataset.historyMode) {
+                mode = button.dataset.historyMode;
+                renderDetail();
+            } else if (button.id === 'history-restore') {
+                restoreSelected();
+            }
+        });
+
+        toolbar.addEventListener('change', (e) => {
+            if (e.target.id === 'history-compare') {
+                compareTo = e.target.value;
+                mode = 'diff';
+                renderDetail();
+            } else if (e.target.id === 'history-layout') {
+                layout = e.target.value;
+                renderDetail();
+            }
+        });
+
+        initialized = true;
+    }
+
+    /**
+     * Show the history of a notebook
+     * @param {Object} current - The notebook as loaded: { id, title, content }
+     */
+    async function show(current) {
+        init();
+
+        const list = document.getElementById('history-list');
+        const body = document.getElementById('history-body');
+        if (!list || !body) return;
+
+        if (!notebook || notebook.id !== current.id) {
+            contents.clear();
+        }
+        notebook = current;
+        revisions = [];
+        selected = null;
+
+        list.innerHTML = '<li class="history-empty">Loading history...</li>';
+        body.innerHTML = '';
+        renderToolbar();
+
+        try {
+            revisions = await GitHub.getFileHistory(notebookPath());
+        } catch (err) {
+            console.error('Failed to load history:', err);
+            list.innerHTML = `<li class="history-empty">Could not load history: ${Markdown.escapeHtml(err.message)}</li>`;
+            return;
+        }
+
+        if (revisions.length === 0) {
+            list.innerHTML = '<li class="history-empty">This notebook has no commits yet.</li>';
+            return;
+        }
+
+        mode = 'preview';
+        selectRevision(revisions[0].sha);
+    }
+
+    /**
+     * Register a callback for restoring an old version:
+     * (content, revision) => Promise
+     */
+    function onRestore(callback) {
+        restoreListeners.push(callback);
+    }
+
+    /**
+     * Path of the current notebook's file in the repo
+     */
+    function notebookPath() {
+        return GitHub.notebookPath(notebook);
+    }
+
+    /**
+     * View a revision, comparing it with the one before by default
+     */
+    function selectRevision(sha) {
+        const index = revisions.findIndex(rev => rev.sha === sha);
+        if (index < 0) return;
+
+        selected = sha;
+        compareTo = revisions[index + 1] ? revisions[index + 1].sha : EMPTY;
+
+        renderList();
+        renderDetail();
+    }
+
+    /**
+     * Render the list of revisions
+     */
+    function renderList() {
+        const list = document.getElementById('history-list');
+        if (!list) return;
+
+        list.innerHTML = revisions.map(rev => `
+            <li>
+                <a href="#" class="history-item${rev.sha === selected ? ' active' : ''}" data-revision="${rev.sha}">
+                    <span class="history-message">${Markdown.escapeHtml(rev.message.split('\n')[0])}</span>
+                    <span class="history-meta">${Markdown.escapeHtml(rev.author)} · ${formatDate(rev.date)} · <code>${rev.sha.slice(0, 7)}</code></span>
+                </a>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Render the mode buttons, compare target, diff layout and restore button
+     */
+    function renderToolbar() {
+        const toolbar = document.getElementById('history-toolbar');
+        if (!toolbar) return;
+
+        if (!selected) {
+            toolbar.innerHTML = '';
+            return;
+        }
+
+        const options = [
+            { value: CURRENT, label: 'Current version' },
+            ...revisions
+                .filter(rev => rev.sha !== selected)
+                .map(rev => ({ value: rev.sha, label: `${rev.sha.slice(0, 7)} · ${formatDate(rev.date)} · ${rev.message.split('\n')[0]}` })),
+            { value: EMPTY, label: 'Empty (before the first version)' }
+        ];
+
+        toolbar.innerHTML = `
+            <div class="history-modes">
+                <button class="btn ${mode === 'preview' ? 'btn-secondary' : 'btn-ghost'}" data-history-mode="preview">Preview</button>
+                <button class="btn ${mode === 'diff' ? 'btn-secondary' : 'btn-ghost'}" data-history-mode="diff">Changes</button>
+            </div>
+            ${mode === 'diff' ? `
+                <label class="history-compare">
+                    Compare with
+                    <select id="history-compare">
+                        ${options.map(option => `<option value="${option.value}"${option.value === compareTo ? ' selected' : ''}>${Markdown.escapeHtml(option.label)}</option>`).join('')}
+                    </select>
+                </label>
+                <select id="history-layout" title="Diff layout">
+                    <option value="inline"${layout === 'inline' ? ' selected' : ''}>Inline</option>
+                    <option value="split"${layout === 'split' ? ' selected' : ''}>Side by side</option>
+                </select>
+            ` : ''}
+            <button class="btn btn-primary" id="history-restore"${selected === revisions[0].sha ? ' disabled title="This is the latest version"' : ''}>Restore This Version</button>
+        `;
+    }
+
+    /**
+     * Render a preview of the selected revision or its diff against the
+     * compare target
+     */
+    async function renderDetail() {
+        const body = document.getElementById('history-body');
+        if (!body || !selected) return;
+
+        renderToolbar();
+
+        const sha = selected;
+        const target = compareTo;
+        body.innerHTML = '<p class="history-empty">Loading...</p>';
+
+        try {
+            if (mode === 'preview') {
+                const content = await getContent(sha);
+                if (sha !== selected || mode !== 'preview') return;
+
+                body.innerHTML = '<div class="markdown-content history-preview"></div>';
+                Markdown.render(content, body.firstElementChild, { path: notebookPath() });
+                return;
+            }
+
+            const [content, other] = await Promise.all([getContent(sha), getContent(target)]);
+            if (sha !== selected || target !== compareTo || mode !== 'diff') return;
+
+            // Always diff from the older version to the newer one
+            const [oldText, newText] = age(target) > age(sha) ? [other, content] : [content, other];
+            body.innerHTML = renderDiff(oldText, newText);
+        } catch (err) {
+            console.error('Failed to load revision:', err);
+            body.innerHTML = `<p class="history-empty">Could not load this version: ${Markdown.escapeHtml(err.message)}</p>`;
+        }
+    }
+
+    /**
+     * How far back a compare target is: 0 for the current version, larger
+     * for older revisions
+     */
+    function age(target) {
+        if (target === CURRENT) return 0;
+        if (target === EMPTY) return Infinity;
+        return revisions.findIndex(rev => rev.sha === target) + 1;
+    }
+
+    /**
+     * Get the notebook's markdown at a revision or compare target
+     */
+    async function getContent(target) {
+        if (target === CURRENT) return notebook.content;
+        if (target === EMPTY) return '';
+
+        if (!contents.has(target)) {
+            // Commits that deleted the file have no content
+            const file = await GitHub.getFile(notebookPath(), target);
+            let content = file ? file.content : '';
+            if (Encryption.isArmored(content)) {
+                content = await Encryption.open(notebook.id, content);
+                if (content === null) {
+                    throw new Error('This version was encrypted with a passphrase that hasn\'t been entered');
+                }
+            }
+            contents.set(target, content);
+        }
+        return contents.get(target);
+    }
+
+    /**
+     * Restore the selected revision as a new commit
+     */
+    async function restoreSelected() {
+        const revision = revisions.find(rev => rev.sha === selected);
+        if (!revision) return;
+
+        if (!confirm(`Restore "${notebook.title}" to the version from ${formatDate(revision.date)}?\n\nThis saves it as a new commit; later versions stay in the history.`)) {
+            return;
+        }
+
+        const button = document.getElementById('history-restore');
+        if (button) {
+            button.textContent = 'Restoring...';
+            button.disabled = true;
+        }
+
+        try {
+            const content = await getContent(revision.sha);
+            for (const callback of restoreListeners) {
+                await callback(content, revision);
+            }
+        } catch (err) {
+            console.error('Failed to restore:', err);
+            alert('Failed to restore: ' + err.message);
+            renderToolbar();
+        }
+    }
+
+    /**
+     * Turn diff hunks into rows, keeping a few unchanged lines around
+     * each change and collapsing the rest
+     * @returns {Array} { type: 'equal'|'delete'|'insert'|'skip', oldNo, newNo, text, count }
+     */
+    function diffRows(hunks) {
+        const rows = [];
+        let oldNo = 1;
+        let newNo = 1;
+
+        const equal = text => rows.push({ type: 'equal', oldNo: oldNo++, newNo: newNo++, text });
+
+        hunks.forEach((hunk, i) => {
+            if (hunk.type === 'delete') {
+                hunk.lines.forEach(text => rows.push({ type: 'delete', oldNo: oldNo++, newNo: null, text }));
+                return;
+            }
+            if (hunk.type === 'insert') {
+                hunk.lines.forEach(text => rows.push({ type: 'insert', oldNo: null, newNo: newNo++, text }));
+                return;
+            }
+
+            const head = i === 0 ? 0 : CONTEXT_LINES;
+            const tail = i === hunks.length - 1 ? 0 : CONTEXT_LINES;
+            const skipped = hunk.lines.length - head - tail;
+
+            if (skipped <= 1) {
+                hunk.lines.forEach(equal);
+                return;
+            }
+
+            hunk.lines.slice(0, head).forEach(equal);
+            rows.push({ type: 'skip', count: skipped });
+            oldNo += skipped;
+            newNo += skipped;
+            hunk.lines.slice(hunk.lines.length - tail).forEach(equal);
+        });
+
+        return rows;
+    }
+
+    /**
+     * Render a line diff in the current layout
+     */
+    function renderDiff(oldText, newText) {
+        const hunks = Diff.diffLines(oldText, newText);
+        if (hunks.every(hunk => hunk.type === 'equal')) {
+            return '<p class="history-empty">No changes between these versions.</p>';
+        }
+
+        const rows = diffRows(hunks);
+        const line = (type, no, text) => `
+            <td class="diff-num">${no ?? ''}</td>
+            <td class="diff-line diff-${type}">${text === null ? '' : Markdown.escapeHtml(text) || '&nbsp;'}</td>
+        `;
+        const skip = (row, span) => `<tr class="diff-skip"><td colspan="${span}">${row.count} unchanged lines</td></tr>`;
+
+        if (layout === 'inline') {
+            return `<table class="diff-table diff-inline">${rows.map(row => (row.type === 'skip'
+                ? skip(row, 3)
+                : `<tr><td class="diff-num">${row.oldNo ?? ''}</td>${line(row.type, row.newNo, row.text)}</tr>`
+            )).join('')}</table>`;
+        }
+
+        // Side by side: pair each run of deleted lines with the inserted lines after it
+        let html = '';
+        for (let i = 0; i < rows.length;) {
+            const row = rows[i];
+            if (row.type === 'skip') {
+                html += skip(row, 4);
+                i++;
+            } else if (row.type === 'equal') {
+                html += `<tr>${line('equal', row.oldNo, row.text)}${line('equal', row.newNo, row.text)}</tr>`;
+                i++;
+            } else {
+                const deleted = [];
+                const inserted = [];
+                while (i < rows.length && rows[i].type === 'delete') deleted.push(rows[i++]);
+                while (i < rows.length && rows[i].type === 'insert') inserted.push(rows[i++]);
+
+                for (let j = 0; j < Math.max(deleted.length, inserted.length); j++) {
+                    const left = deleted[j];
+                    const right = inserted[j];
+                    html += `<tr>${left ? line('delete', left.oldNo, left.text) : line('empty', null, null)}` +
+                        `${right ? line('insert', right.newNo, right.text) : line('empty', null, null)}</tr>`;
+                }
+            }
+        }
+
+        return `<table class="diff-table diff-split">${html}</table>`;
+    }
+
+    /**
+     * Format a commit date for display
+     */
+    function formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? 'unknown date' : date.toLocaleString();
+    }
+
+    // Public API
+    return {
+        init,
+        show,
+        onRestore
+    };
+})();
@@ -0,0 +1,427 @@
+/**
+ * Moleskine - Search Module
+ * Client-side full-text search over notebook contents
+ */
+
+const Search = (function() {
+    const INDEX_VERSION = 2;
+    const TITLE_BOOST = 3;
+    const HEADING_BOOST = 2;
+    const SNIPPET_RADIUS = 60;
+    const MAX_RESULTS = 20;
+
+    // Indexed notebooks: id -> { title, tags, folder, sha, updatedAt, length, sections, links }
+    let docs = {};
+    // Inverted index: term -> { notebookId: weighted term frequency }
+    let terms = {};
+
+    /**
+     * Load the cached index from storage
+     */
+    async function init() {
+        const cached = await Storage.getSearchIndex();
+        if (cached && cached.version === INDEX_VERSION) {
+            docs = cached.docs || {};
+            terms = cached.terms || {};
+        }
+    }
+
+    /**
+     * Persist the index to storage
+     */
+    function persist() {
+        Storage.saveSearchIndex({ version: INDEX_VERSION, docs, terms });
+    }
+
+    /**
+     * Split text into lowercase search terms
+     */
+    function tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []);
+    }
+
+    /**
+     * Reduce a line of markdown to the plain text a reader sees
+     */
+    function stripMarkdown(line) {
+        return line
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, '$2')
+            .replace(/\[\[([^\]]+)\]\]/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .replace(/^\s*(?:[-*+]\s+\[[ xX]\]|[-*+>]|\d+\.)\s+/, '')
+            .replace(/[*_~`]+/g, '')
+            .trim();
+    }
+
+    /**
+     * Split a notebook into sections, one per heading
+     */
+    function splitSections(content) {
+        const sections = [{ heading: '', slug: '', text: '' }];
+        let inFence = false;
+
+        Markdown.parseFrontMatter(content).body.split('\n').forEach(line => {
+            if (/^\s*(```|~~~)/.test(line)) {
+                inFence = !inFence;
+                return;
+            }
+
+            const heading = !inFence && /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+            if (heading) {
+                const text = stripMarkdown(heading[2]);
+                sections.push({ heading: text, slug: Markdown.slugify(text), text: '' });
+                return;
+            }
+
+            const text = inFence ? line.trim() : stripMarkdown(line);
+            if (text) {
+                const section = sections[sections.length - 1];
+                section.text += (section.text ? ' ' : '') + text;
+            }
+        });
+
+        return sections.filter(section => section.heading || section.text);
+    }
+
+    /**
+     * Add or replace a notebook in the index and cache the result
+     * @param {Object} notebook - Index entry ({ id, title, tags, folder, updatedAt }),
+     *   with sha: the blob SHA of content, if known
+     * @param {string} content - Markdown source
+     */
+    function indexNotebook(notebook, content) {
+        addToIndex(notebook, content);
+        persist();
+    }
+
+    /**
+     * Add or replace a notebook in the in-memory index
+     */
+    function addToIndex(notebook, content) {
+        removeFromTerms(notebook.id);
+
+        const sections = splitSections(content);
+        const frequencies = {};
+        const add = (text, weight) => {
+            tokenize(text).forEach(term => {
+                frequencies[term] = (frequencies[term] || 0) + weight;
+            });
+        };
+
+        add(notebook.title || '', TITLE_BOOST);
+        sections.forEach(section => {
+            add(section.heading, HEADING_BOOST);
+            add(section.text, 1);
+        });
+
+        Object.entries(frequencies).forEach(([term, frequency]) => {
+            if (!terms[term]) terms[term] = {};
+            terms[term][notebook.id] = frequency;
+        });
+
+        docs[notebook.id] = {
+            title: notebook.title || notebook.id,
+            tags: notebook.tags || [],
+            folder: notebook.folder || null,
+            sha: notebook.sha || null,
+            updatedAt: notebook.updatedAt || null,
+            length: Object.values(frequencies).reduce((sum, f) => sum + f, 0),
+            sections,
+            links: Markdown.extractWikiLinks(content)
+        };
+    }
+
+    /**
+     * Remove a notebook's postings from the inverted index
+     */
+    function removeFromTerms(id) {
+        if (!docs[id]) return;
+
+        Object.keys(terms).forEach(term => {
+            if (terms[term][id] !== undefined) {
+                delete terms[term][id];
+                if (Object.keys(terms[term]).length === 0) {
+                    delete terms[term];
+                }
+            }
+        });
+    }
+
+    /**
+     * Remove a notebook from the index
+     */
+    function removeNotebook(id) {
+        removeFromTerms(id);
+        delete docs[id];
+        persist();
+    }
+
+    /**
+     * Get the [[wiki link]] targets in an indexed notebook, unresolved so
+     * they follow later renames and new aliases
+     * @returns {string[]} Empty if the notebook isn't indexed
+     */
+    function getWikiLinks(id) {
+        return docs[id] ? docs[id].links : [];
+    }
+
+    /**
+     * Check whether the indexed copy of a notebook is up to date: same blob
+     * SHA, or the same updatedAt day when the SHA isn't known
+     */
+    function isIndexed(notebook) {
+        const doc = docs[notebook.id];
+        if (!doc) {
+            return false;
+        }
+        return notebook.sha
+            ? doc.sha === notebook.sha
+            : doc.updatedAt === (notebook.updatedAt || null);
+    }
+
+    /**
+     * Bring the index in line with the notebook list, fetching only
+     * notebooks that are new or changed since they were last indexed
+     * @param {Array} notebooks - Notebook index entries, with sha: the
+     *   current blob SHA of each file, if known
+     * @param {Function} fetchContent - async (id) => markdown
+     */
+    async function sync(notebooks, fetchContent) {
+        const ids = new Set(notebooks.map(nb => nb.id));
+        Object.keys(docs)
+            .filter(id => !ids.has(id))
+            .forEach(id => {
+                removeFromTerms(id);
+                delete docs[id];
+            });
+
+        for (const notebook of notebooks) {
+            const doc = docs[notebook.id];
+            if (isIndexed(notebook)) {
+                // Metadata can change without the content changing
+                doc.title = notebook.title;
+                doc.tags = notebook.tags || [];
+                doc.folder = notebook.folder || null;
+                continue;
+            }
+
+            try {
+                const content = await fetchContent(notebook.id);
+                if (content) {
+                    addToIndex(notebook, content);
+                }
+            } catch (err) {
+                console.warn('Could not index notebook:', notebook.id, err);
+            }
+        }
+
+        persist();
+    }
+
+    /**
+     * Parse a query into terms, quoted phrases and tag:/folder: filters
+     */
+    function parseQuery(query) {
+        const parsed = { terms: [], phrases: [], tags: [], folders: [] };
+        const pattern = /(tag|folder):(?:"([^"]*)"|(\S+))|"([^"]*)"?|(\S+)/gi;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            if (match[1]) {
+                const value = (match[2] ?? match[3]).toLowerCase().replace(/^#/, '');
+                if (value) {
+                    parsed[match[1].toLowerCase() === 'tag' ? 'tags' : 'folders'].push(value);
+                }
+            } else if (match[4] !== undefined) {
+                const phrase = tokenize(match[4]);
+                if (phrase.length > 0) {
+                    parsed.phrases.push(phrase.join(' '));
+                    parsed.terms.push(...phrase);
+                }
+            } else {
+                parsed.terms.push(...tokenize(match[5]));
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Find index terms matching a query term (the last term also matches
+     * as a prefix, so results update while typing)
+     */
+    function expandTerm(term, isPrefix) {
+        if (!isPrefix) {
+            return terms[term] ? [term] : [];
+        }
+        return Object.keys(terms).filter(t => t.startsWith(term));
+    }
+
+    /**
+     * Normalize text the same way as the tokenizer, for phrase matching
+     */
+    function normalize(text) {
+        return tokenize(text).join(' ');
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Search query
+     * @returns {Array} Ranked results: { id, title, heading, snippet, score }
+     */
+    function search(query) {
+        const parsed = parseQuery(query);
+        const hasText = parsed.terms.length > 0;
+        if (!hasText && parsed.tags.length === 0 && parsed.folders.length === 0) {
+            return [];
+        }
+
+        const total = Math.max(Object.keys(docs).length, 1);
+        const lastIsPrefix = !/[\s"]$/.test(query);
+        let candidates = Object.keys(docs);
+        const scores = {};
+
+        // Every term must match; scores add up TF-IDF over matching terms
+        parsed.terms.forEach((term, i) => {
+            const matches = expandTerm(term, lastIsPrefix && i === parsed.terms.length - 1);
+            const termScores = {};
+
+            matches.forEach(t => {
+                const postings = terms[t];
+                const idf = Math.log(1 + total / Object.keys(postings).length);
+                Object.entries(postings).forEach(([id, frequency]) => {
+                    const tf = frequency / Math.sqrt(docs[id].length || 1);
+                    termScores[id] = Math.max(termScores[id] || 0, tf * idf);
+                });
+            });
+
+            candidates = candidates.filter(id => termScores[id] !== undefined);
+            candidates.forEach(id => {
+                scores[id] = (scores[id] || 0) + termScores[id];
+            });
+        });
+
+        const results = candidates
+            .filter(id => matchesFilters(docs[id], parsed))
+            .map(id => {
+                const doc = docs[id];
+                const section = findSection(doc, parsed);
+                if (!section) return null;
+
+                return {
+                    id,
+                    title: doc.title,
+                    heading: section.slug,
+                    headingText: section.heading,
+                    snippet: hasText ? makeSnippet(section, parsed) : Markdown.escapeHtml(section.text.slice(0, SNIPPET_RADIUS * 2)),
+                    score: scores[id] || 0
+                };
+            })
+            .filter(Boolean);
+
+        return results
+            .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+            .slice(0, MAX_RESULTS);
+    }
+
+    /**
+     * Check a document against tag:/folder: filters
+     */
+    function matchesFilters(doc, parsed) {
+        const tags = doc.tags.map(t => t.toLowerCase());
+        const folder = (doc.folder || '').toLowerCase();
+
+        return parsed.tags.every(tag => tags.includes(tag)) &&
+            parsed.folders.every(f => folder === f || folder.startsWith(f + '/'));
+    }
+
+    /**
+     * Pick the section that best matches the query, or null if a
+     * phrase is required and no section contains it
+     */
+    function findSection(doc, parsed) {
+        let best = null;
+        let bestScore = -1;
+
+        doc.sections.forEach(section => {
+            const text = normalize(section.heading + ' ' + section.text);
+            if (!parsed.phrases.every(phrase => text.includes(phrase))) {
+                return;
+            }
+
+            const words = new Set(text.split(' '));
+            const score = parsed.terms.filter(term =>
+                words.has(term) || [...words].some(w => w.startsWith(term))
+            ).length;
+
+            if (score > bestScore) {
+                best = section;
+                bestScore = score;
+            }
+        });
+
+        // Titles match too, even when no section does
+        if (!best && parsed.phrases.every(phrase => normalize(doc.title).includes(phrase))) {
+            best = doc.sections[0] || { heading: '', slug: '', text: '' };
+        }
+
+        return best;
+    }
+
+    /**
+     * Escape a string for use in a regular expression
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Build a highlighted snippet around the first match in a section
+     */
+    function makeSnippet(section, parsed) {
+        const text = section.text || section.heading;
+        const words = [
+            ...parsed.phrases.map(phrase => phrase.split(' ').map(escapeRegExp).join('[^\\p{L}\\p{N}_]+')),
+            ...parsed.terms.map(escapeRegExp)
+        ];
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.join('|')})[\\p{L}\\p{N}_]*`, 'giu');
+
+        const first = pattern.exec(text);
+        const center = first ? first.index : 0;
+        let start = Math.max(0, center - SNIPPET_RADIUS);
+        let end = Math.min(text.length, center + SNIPPET_RADIUS);
+
+        // Don't cut words in half
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        if (end < text.length) end = text.lastIndexOf(' ', end) > center ? text.lastIndexOf(' ', end) : end;
+
+        const excerpt = text.slice(start, end);
+        pattern.lastIndex = 0;
+
+        let html = '';
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(excerpt)) !== null) {
+            html += Markdown.escapeHtml(excerpt.slice(last, match.index));
+            html += `<mark>${Markdown.escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        html += Markdown.escapeHtml(excerpt.slice(last));
+
+        return (start > 0 ? '&hellip;' : '') + html + (end < text.length ? '&hellip;' : '');
+    }
+
+    // Public API
+    return {
+        init,
+        sync,
+        indexNotebook,
+        removeNotebook,
+        isIndexed,
+        getWikiLinks,
+        search,
+        parseQuery
+    };
+})();
@@ -1,84 +1,183 @@
 /**
  * Moleskine - Storage Module
- * Handles localStorage for drafts and settings
+ * Drafts and cached data in IndexedDB; settings and recent notebooks
+ * encrypted in localStorage
  */
 
 const Storage = (function() {
     const DRAFTS_KEY = 'moleskine_drafts';
     const SETTINGS_KEY = 'moleskine_settings';
     const RECENT_KEY = 'moleskine_recent';
+    const LEGACY_SEARCH_INDEX_KEY = 'moleskine_search_index';
+    const SEARCH_INDEX_KEY = 'searchIndex';
+
+    const DEFAULT_SETTINGS = { theme: 'light', fontSize: 16, editorMode: 'split' };
+
+    let migration = null;
+    let quotaReported = false;
+
+    // Decrypted settings and recent notebooks, loaded by init()
+    let settings = { ...DEFAULT_SETTINGS };
+    let recent = [];
+    let writes = Promise.resolve(); // Keeps encrypted writes in order
 
     /**
-     * Get all drafts
+     * Move drafts from the old single localStorage blob into per-draft
+     * IndexedDB records. Runs once; the blob is removed only after every
+     * draft has been copied.
      */
-    function getDrafts() {
+    function migrate() {
+        if (!migration) {
+            migration = (async () => {
+                let legacy = null;
+                try {
+                    legacy = JSON.parse(localStorage.getItem(DRAFTS_KEY));
+                } catch {
+                    legacy = null;
+                }
+
+                if (legacy && typeof legacy === 'object') {
+                    for (const [id, draft] of Object.entries(legacy)) {
+                        await DB.put('drafts', { ...draft, id });
+                    }
+                }
+
+                localStorage.removeItem(DRAFTS_KEY);
+                localStorage.removeItem(LEGACY_SEARCH_INDEX_KEY);
+            })();
+
+            // Try again next time if the copy failed
+            migration.catch(err => {
+                console.error('Draft migration failed:', err);
+                migration = null;
+            });
+        }
+        return migration;
+    }
+
+    /**
+     * Check whether an error means browser storage is full
+     */
+    function isQuotaError(err) {
+        return Boolean(err) && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+
+    /**
+     * Report a failed write; a full quota is shown to the user once per session
+     */
+    function reportWriteError(err, what) {
+        console.error(`Could not save ${what}:`, err);
+
+        if (isQuotaError(err) && !quotaReported) {
+            quotaReported = true;
+            alert(`Browser storage is full, so ${what} could not be saved on this device. ` +
+                'Delete old drafts or save them to GitHub to free up space.');
+        }
+    }
+
+    /**
+     * Decrypt settings and recent notebooks into memory. Needs the
+     * session key, so runs after Auth.unlock().
+     */
+    async function init() {
+        settings = { ...DEFAULT_SETTINGS, ...(await readLocal(SETTINGS_KEY, 'settings')) };
+        recent = (await readLocal(RECENT_KEY, 'recent notebooks')) || [];
+    }
+
+    /**
+     * Read and decrypt a JSON localStorage value, or null
+     */
+    async function readLocal(key, what) {
         try {
-            return JSON.parse(localStorage.getItem(DRAFTS_KEY)) || {};
-        } catch {
-            return {};
+            return JSON.parse(await Vault.getItem(key));
+        } catch (err) {
+            console.error(`Could not read ${what}:`, err);
+            return null;
         }
     }
 
+    /**
+     * Encrypt and write a JSON localStorage value, reporting quota errors
+     */
+    function writeLocal(key, value, what) {
+        writes = writes
+            .then(() => Vault.setItem(key, JSON.stringify(value)))
+            .catch(err => reportWriteError(err, what));
+        return writes;
+    }
+
+    /**
+     * Get all drafts
+     * @returns {Promise<Object>} Map of draft ID to { content, title, notebook, updatedAt }
+     */
+    async function getDrafts() {
+        await migrate();
+        const records = await DB.getAll('drafts');
+        return Object.fromEntries(records.map(({ id, ...draft }) => [id, draft]));
+    }
+
     /**
      * Save a draft
+     * @param {Object|null} notebook - Notebook the draft edits: { id, title, base }
+     * @returns {Promise} Rejects (after reporting) if the draft couldn't be stored
      */
-    function saveDraft(id, content, title = 'Untitled') {
-        const drafts = getDrafts();
-        drafts[id] = {
-            content,
-            title,
-            updatedAt: new Date().toISOString()
-        };
-        localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+    async function saveDraft(id, content, title = 'Untitled', notebook = null) {
+        await migrate();
+        try {
+            await DB.put('drafts', {
+                id,
+                content,
+                title,
+                notebook,
+                updatedAt: new Date().toISOString()
+            });
+        } catch (err) {
+            reportWriteError(err, 'your draft');
+            throw err;
+        }
     }
 
     /**
      * Get a specific draft
      */
-    function getDraft(id) {
-        const drafts = getDrafts();
-        return drafts[id] || null;
+    async function getDraft(id) {
+        await migrate();
+        const draft = await DB.get('drafts', id);
+        if (!draft) return null;
+
+        const { id: _, ...rest } = draft;
+        return rest;
     }
 
     /**
      * Delete a draft
      */
-    function deleteDraft(id) {
-        const drafts = getDrafts();
-        delete drafts[id];
-        localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+    async function deleteDraft(id) {
+        await migrate();
+        await DB.remove('drafts', id);
     }
 
     /**
      * Get settings
      */
     function getSettings() {
-        try {
-            return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {
-                theme: 'light',
-                fontSize: 16,
-                editorMode: 'split'
-            };
-        } catch {
-            return { theme: 'light', fontSize: 16, editorMode: 'split' };
-        }
+        return { ...settings };
     }
 
     /**
      * Save settings
      */
-    function saveSettings(settings) {
-        const current = getSettings();
-        const updated = { ...current, ...settings };
-        localStorage.setItem(SETTINGS_KEY, JSON.stringify(updated));
-        return updated;
+    function saveSettings(updates) {
+        settings = { ...settings, ...updates };
+        writeLocal(SETTINGS_KEY, settings, 'your settings');
+        return getSettings();
     }
 
     /**
      * Get a single setting
      */
     function getSetting(key) {
-        return getSettings()[key];
+        return settings[key];
     }
 
     /**
@@ -92,18 +191,13 @@ const Storage = (function() {
      * Get recent notebooks
      */
     function getRecent() {
-        try {
-            return JSON.parse(localStorage.getItem(RECENT_KEY)) || [];
-        } catch {
-            return [];
-        }
+        return [...recent];
     }
 
     /**
      * Add to recent notebooks (max 10)
      */
     function addToRecent(notebook) {
-        let recent = getRecent();
         // Remove if already exists
         recent = recent.filter(r => r.id !== notebook.id);
         // Add to front
@@ -114,20 +208,50 @@ const Storage = (function() {
         });
         // Keep only last 10
         recent = recent.slice(0, 10);
-        localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+        writeLocal(RECENT_KEY, recent, 'recent notebooks');
+    }
+
+    /**
+     * Get the cached full-text search index
+     */
+    async function getSearchIndex() {
+        try {
+            const record = await DB.get('cache', SEARCH_INDEX_KEY);
+            return record ? record.value : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Cache the full-text search index
+     */
+    async function saveSearchIndex(index) {
+        try {
+            await DB.put('cache', { key: SEARCH_INDEX_KEY, value: index });
+        } catch (err) {
+            // The index can always be rebuilt, so a full quota is not fatal
+            console.warn('Could not cache search index:', err);
+        }
     }
 
     /**
      * Clear all storage (for testing/reset)
      */
-    function clearAll() {
+    async function clearAll() {
         localStorage.removeItem(DRAFTS_KEY);
         localStorage.removeItem(SETTINGS_KEY);
         localStorage.removeItem(RECENT_KEY);
+        localStorage.removeItem(LEGACY_SEARCH_INDEX_KEY);
+        settings = { ...DEFAULT_SETTINGS };
+        recent = [];
+        await DB.clear('drafts');
+        await DB.clear('cache');
     }
 
     // Public API
     return {
+        init,
         getDrafts,
         saveDraft,
         getDraft,
@@ -138,6 +262,8 @@ const Storage = (function() {
         setSetting,
         getRecent,
         addToRecent,
+        getSearchIndex,
+        saveSearchIndex,
         clearAll
     };
 })();
@@ -0,0 +1,318 @@
+/**
+ * Moleskine - Sync Module
+ * Offline mirror of notebooks and whiteboards, and a queue of GitHub
+ * commits that replays when the connection comes back
+ */
+
+const Sync = (function() {
+    // GitHub writes that can wait in the queue. Their arguments must be
+    // plain data that IndexedDB can store, so not commitFiles, whose
+    // index changes carry update functions.
+    const QUEUEABLE_METHODS = ['saveNotebook', 'saveWhiteboard'];
+
+    // What fetch() rejects with when a request gets no response at all
+    // (Chrome, Firefox and Safari wording)
+    const FETCH_FAILURE_PATTERN = /^(?:Failed to fetch|NetworkError when attempting to fetch resource|Load failed|The Internet connection appears to be offline|The network connection was lost)\.?$/;
+
+    let pendingCount = 0;
+    let failedItem = null;
+    let syncing = false;
+    let replayPromise = null;
+    const syncedListeners = [];
+
+    /**
+     * Register the service worker, restore the queue and start listening
+     * for connectivity changes
+     */
+    async function init() {
+        registerServiceWorker();
+
+        window.addEventListener('online', () => replay());
+        window.addEventListener('offline', renderStatus);
+
+        document.getElementById('sync-status')?.addEventListener('click', handleStatusClick);
+
+        await refreshQueue();
+        if (navigator.onLine) {
+            replay();
+        }
+    }
+
+    /**
+     * Register the service worker that caches the app shell and notebooks
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js').catch(err => {
+            console.warn('Service worker registration failed:', err);
+        });
+    }
+
+    /**
+     * Check whether an error means we couldn't reach GitHub at all. Only
+     * the TypeError fetch() throws counts; other TypeErrors are bugs.
+     */
+    function isNetworkError(err) {
+        return err instanceof TypeError && (!navigator.onLine || FETCH_FAILURE_PATTERN.test(err.message));
+    }
+
+    /**
+     * Run a GitHub write now, or queue it if we're offline. Writes also
+     * queue behind earlier ones that haven't gone out yet, to keep order.
+     * @param {string} method - GitHub module method, e.g. 'saveNotebook'
+     * @param {Array} args - Arguments for the method
+     * @param {string} label - Short description for the sync status
+     * @returns {Promise<{queued: boolean, result: *}>}
+     */
+    async function commit(method, args, label) {
+        if (!QUEUEABLE_METHODS.includes(method)) {
+            throw new Error(`Cannot queue GitHub.${method}`);
+        }
+
+        if (navigator.onLine && pendingCount === 0) {
+            try {
+                return { queued: false, result: await GitHub[method](...args) };
+            } catch (err) {
+                if (!isNetworkError(err)) {
+                    throw err;
+                }
+            }
+        }
+
+        await DB.put('queue', { method, args, label, createdAt: new Date().toISOString() });
+        await refreshQueue();
+
+        if (navigator.onLine) {
+            replay();
+        }
+
+        return { queued: true, result: null };
+    }
+
+    /**
+     * Send queued commits in order. Stops at the first one that fails;
+     * network errors wait for the next 'online' event, other errors are
+     * kept on the item for the user to retry or discard.
+     */
+    function replay() {
+        if (replayPromise) {
+            return replayPromise;
+        }
+
+        replayPromise = (async () => {
+            let sent = 0;
+
+            try {
+                const items = await DB.getAll('queue');
+                items.sort((a, b) => a.id - b.id);
+
+                syncing = items.length > 0;
+                renderStatus();
+
+                for (const item of items) {
+                    // A failed item waits for the user, and later ones wait behind it
+                    if (!navigator.onLine || item.error) break;
+
+                    try {
+                        await GitHub[item.method](...item.args);
+                        await DB.remove('queue', item.id);
+                        sent++;
+                    } catch (err) {
+                        if (!isNetworkError(err)) {
+                            console.error('Queued commit failed:', item.label, err);
+                            await DB.put('queue', { ...item, error: err.message, status: err.status || null });
+                        }
+                        break;
+                    }
+                }
+            } catch (err) {
+                console.warn('Could not replay commit queue:', err);
+            } finally {
+                syncing = false;
+                replayPromise = null;
+                await refreshQueue();
+            }
+
+            if (sent > 0) {
+                syncedListeners.forEach(callback => callback(sent));
+            }
+        })();
+
+        return replayPromise;
+    }
+
+    /**
+     * Re-read the queue size and first failed item, then update the status
+     */
+    async function refreshQueue() {
+        try {
+            const items = await DB.getAll('queue');
+            pendingCount = items.length;
+            failedItem = items.sort((a, b) => a.id - b.id).find(item => item.error) || null;
+        } catch (err) {
+            pendingCount = 0;
+            failedItem = null;
+        }
+        renderStatus();
+    }
+
+    /**
+     * Show the sync state in the header
+     */
+    function renderStatus() {
+        const el = document.getElementById('sync-status');
+        if (!el) return;
+
+        let state;
+        let text;
+        let title;
+
+        if (failedItem) {
+            state = 'error';
+            text = 'Sync failed';
+            title = `${failedItem.label}: ${failedItem.error}. Click to retry or discard.`;
+        } else if (syncing) {
+            state = 'syncing';
+            text = 'Syncing...';
+            title = `Sending ${pendingCount} change(s) to GitHub`;
+        } else if (!navigator.onLine) {
+            state = 'offline';
+            text = pendingCount > 0 ? `Offline · ${pendingCount} pending` : 'Offline';
+            title = 'Changes are saved on this device and sent when you reconnect';
+        } else if (pendingCount > 0) {
+            state = 'pending';
+            text = `${pendingCount} pending`;
+            title = 'Click to send pending changes now';
+        } else {
+            state = 'synced';
+            text = 'Synced';
+            title = 'All changes are on GitHub';
+        }
+
+        el.className = `sync-status sync-${state}`;
+        el.textContent = text;
+        el.title = title;
+    }
+
+    /**
+     * Retry, overwrite or discard a failed commit, or push pending ones
+     */
+    async function handleStatusClick() {
+        if (!failedItem) {
+            if (pendingCount > 0 && navigator.onLine) {
+                replay();
+            }
+            return;
+        }
+
+        const item = failedItem;
+        const conflict = item.status === 409;
+        const message = conflict
+            ? `"${item.label}" conflicts with a newer version on GitHub.\n\nOK: overwrite GitHub with this device's version\nCancel: choose whether to discard it`
+            : `"${item.label}" could not be sent: ${item.error}\n\nOK: try again\nCancel: choose whether to discard it`;
+
+        if (confirm(message)) {
+            const retry = { ...item };
+            delete retry.error;
+            delete retry.status;
+
+            // Clear saveNotebook's baseSha so it no longer checks for conflicts
+            if (conflict && item.method === 'saveNotebook') {
+                retry.args = [...item.args];
+                retry.args[6] = undefined;
+            }
+
+            await DB.put('queue', retry);
+            await refreshQueue();
+            replay();
+        } else if (confirm(`Discard "${item.label}"? The change will be lost.`)) {
+            await DB.remove('queue', item.id);
+            await refreshQueue();
+            replay();
+        }
+    }
+
+    /**
+     * Register a callback for when queued commits have been sent
+     */
+    function onSynced(callback) {
+        syncedListeners.push(callback);
+    }
+
+    /**
+     * Mirror a fetched index file (notebooks or whiteboards) for offline use
+     */
+    function mirrorIndex(name, data) {
+        return DB.put('indexes', { name, data }).catch(err => {
+            console.warn('Could not mirror index:', name, err);
+        });
+    }
+
+    /**
+     * Get a mirrored index file, or null
+     */
+    async function getIndex(name) {
+        try {
+            const record = await DB.get('indexes', name);
+            return record ? record.data : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Mirror a notebook's markdown for offline use
+     */
+    function mirrorNotebook(id, content, sha = null) {
+        return DB.put('notebooks', { id, content, sha, mirroredAt: new Date().toISOString() }).catch(err => {
+            console.warn('Could not mirror notebook:', id, err);
+        });
+    }
+
+    /**
+     * Get a mirrored notebook ({ id, content, sha }), or null
+     */
+    async function getNotebook(id) {
+        try {
+            return (await DB.get('notebooks', id)) || null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Mirror a whiteboard scene for offline use
+     */
+    function mirrorWhiteboard(id, scene) {
+        return DB.put('whiteboards', { id, scene, mirroredAt: new Date().toISOString() }).catch(err => {
+            console.warn('Could not mirror whiteboard:', id, err);
+        });
+    }
+
+    /**
+     * Get a mirrored whiteboard scene, or null
+     */
+    async function getWhiteboard(id) {
+        try {
+            const record = await DB.get('whiteboards', id);
+            return record ? record.scene : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        commit,
+        replay,
+        onSynced,
+        mirrorIndex,
+        getIndex,
+        mirrorNotebook,
+        getNotebook,
+        mirrorWhiteboard,
+        getWhiteboard
+    };
+})();
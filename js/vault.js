@@ -0,0 +1,214 @@
+/**
+ * Moleskine - Vault Module
+ * Passphrase-derived keys and AES-GCM encryption (WebCrypto), and
+ * localStorage values sealed with the key unlocked at login
+ */
+
+const Vault = (function() {
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+
+    // Prefix marking a sealed localStorage value: enc1:<iv>:<ciphertext>
+    const SEALED_PREFIX = 'enc1:';
+
+    let sessionKey = null;
+
+    // Pending setItem and rekey calls, run one at a time so nothing is
+    // sealed with a key that rekey is replacing
+    let writes = Promise.resolve();
+
+    /**
+     * Get cryptographically random bytes
+     */
+    function randomBytes(length = SALT_BYTES) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    /**
+     * Encode bytes as base64
+     */
+    function encodeBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 to bytes
+     */
+    function decodeBase64(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+
+    /**
+     * Derive 256 bits of key material from a passphrase with PBKDF2-SHA-256
+     */
+    async function deriveBits(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 256
+        );
+        return new Uint8Array(bits);
+    }
+
+    /**
+     * Turn derived key material into a (non-extractable) AES-GCM key
+     */
+    function importKey(bytes) {
+        return crypto.subtle.importKey('raw', bytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Encrypt text with AES-GCM under a fresh random IV
+     * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext
+     */
+    async function encrypt(key, text) {
+        const iv = randomBytes(IV_BYTES);
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        return { iv: encodeBase64(iv), data: encodeBase64(new Uint8Array(data)) };
+    }
+
+    /**
+     * Decrypt text from encrypt(). Rejects if the key is wrong or the
+     * ciphertext was tampered with.
+     */
+    async function decrypt(key, { iv, data }) {
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: decodeBase64(iv) }, key, decodeBase64(data)
+        );
+        return new TextDecoder().decode(plain);
+    }
+
+    /**
+     * Use the key from login to seal and open stored values
+     * @param {CryptoKey} key
+     */
+    function unlock(key) {
+        sessionKey = key;
+    }
+
+    /**
+     * Forget the session key
+     */
+    function lock() {
+        sessionKey = null;
+    }
+
+    /**
+     * Check whether a session key is loaded
+     */
+    function isUnlocked() {
+        return sessionKey !== null;
+    }
+
+    /**
+     * Check whether a stored value is sealed
+     */
+    function isSealed(value) {
+        return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+    }
+
+    /**
+     * Encrypt a value for storage
+     */
+    async function seal(text, key = sessionKey) {
+        if (!key) {
+            throw new Error('Vault is locked');
+        }
+        const { iv, data } = await encrypt(key, text);
+        return `${SEALED_PREFIX}${iv}:${data}`;
+    }
+
+    /**
+     * Decrypt a sealed value
+     */
+    async function open(value, key = sessionKey) {
+        if (!key) {
+            throw new Error('Vault is locked');
+        }
+        const [iv, data] = value.slice(SEALED_PREFIX.length).split(':');
+        return decrypt(key, { iv, data });
+    }
+
+    /**
+     * Read and decrypt a localStorage value, or null if it isn't set.
+     * Values saved before encryption was added are sealed in place.
+     */
+    async function getItem(name) {
+        const stored = localStorage.getItem(name);
+        if (stored === null) {
+            return null;
+        }
+
+        if (isSealed(stored)) {
+            return open(stored);
+        }
+
+        await setItem(name, stored);
+        return stored;
+    }
+
+    /**
+     * Run a write after the ones already queued
+     */
+    function queueWrite(write) {
+        const result = writes.then(write);
+        writes = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Encrypt and write a localStorage value; null removes it
+     */
+    function setItem(name, text) {
+        return queueWrite(async () => {
+            if (text === null || text === undefined) {
+                localStorage.removeItem(name);
+                return;
+            }
+            localStorage.setItem(name, await seal(text));
+        });
+    }
+
+    /**
+     * Re-encrypt every sealed localStorage value under a new key, then
+     * make it the session key. Waits for writes already queued, and
+     * writes queued meanwhile (such as Storage.writeLocal's) are sealed
+     * with the new key. Everything is decrypted before anything is
+     * written, so a wrong old key leaves storage untouched.
+     * @param {CryptoKey} oldKey
+     * @param {CryptoKey} newKey
+     */
+    function rekey(oldKey, newKey) {
+        return queueWrite(async () => {
+            const names = Object.keys(localStorage).filter(name => isSealed(localStorage.getItem(name)));
+
+            const values = await Promise.all(names.map(name => open(localStorage.getItem(name), oldKey)));
+            const resealed = await Promise.all(values.map(text => seal(text, newKey)));
+
+            names.forEach((name, i) => localStorage.setItem(name, resealed[i]));
+            sessionKey = newKey;
+        });
+    }
+
+    // Public API
+    return {
+        randomBytes,
+        encodeBase64,
+        decodeBase64,
+        deriveBits,
+        importKey,
+        encrypt,
+        decrypt,
+        unlock,
+        lock,
+        isUnlocked,
+        getItem,
+        setItem,
+        rekey
+    };
+})();
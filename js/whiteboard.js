@@ -1,6 +1,13 @@
 /**
  * Moleskine - Whiteboard Module
  * Canvas-based drawing tool
+ *
+ * The board is kept as a list of vector items (strokes, shapes and text).
+ * The canvas is only a view: it is cleared and redrawn from the list
+ * whenever something changes.
+ *
+ * Items live in unbounded "world" coordinates. The viewport (pan offset and
+ * zoom) maps them onto the screen, so the board has no fixed size.
  */
 
 const Whiteboard = (function() {
@@ -12,13 +19,76 @@ const Whiteboard = (function() {
     let strokeWidth = 2;
     let startX = 0;
     let startY = 0;
+    let lastPos = null;
     let initialized = false;
-    let shapePreviewImage = null; // Cached image for shape previews
+    let renderQueued = false;
+
+    // Scene items are never mutated in place; every change produces a new
+    // array so history entries can share the unchanged items.
+    let items = [];
+    let draftItem = null; // Item being drawn, not yet committed
+    let erasedIds = new Set(); // Items hit by the current eraser stroke
+
+    // Selection state for the select tool
+    let selectedIds = new Set();
+    let selectAction = null; // Active move, resize or marquee drag
+    let transientItems = null; // Preview of items while moving or resizing
+
+    // Store drawing history for undo (one items array per step)
+    let history = [items];
+    let historyIndex = 0;
+
+    // Saved board being edited ({ id, title }), null for an unsaved board
+    let currentBoard = null;
+
+    // Viewport: screen = world * zoom + (x, y), in CSS pixels
+    let view = { x: 0, y: 0, zoom: 1 };
+    let viewportWidth = 0;
+    let viewportHeight = 0;
+    let pixelRatio = 1;
+    let fitPending = false; // Zoom to fit once the canvas has a size
+    let spaceHeld = false;
+    let panState = null; // Active space-drag or middle-drag pan
+    let pinchState = null; // Active two-finger pinch
+
+    // Pointer tracking
+    const pointers = new Map(); // pointerId -> screen position of pressed pointers
+    let drawingPointerId = null; // The one pointer allowed to draw
+    let activePointerType = null;
+    let lastPenTime = 0; // For palm rejection
+    let minimap = null;
+    let minimapCtx = null;
+    let minimapTransform = null; // World -> minimap mapping from the last render
+
+    const ERASER_RADIUS = 10;
+    const TEXT_FONT_SIZE = 16;
+    const TEXT_FONT_FAMILY = 'sans-serif';
+    const ARROW_HEAD_LENGTH = 15;
+    const SHAPE_TOOLS = ['line', 'rect', 'circle', 'arrow'];
+    const ITEM_TOOLS = ['pen', 'text', ...SHAPE_TOOLS];
+    const SCENE_VERSION = 1;
+    const MIN_ZOOM = 0.1;
+    const MAX_ZOOM = 8;
+    const ZOOM_STEP = 1.25;
+    const GRID_SIZE = 20;
+    const EXPORT_PADDING = 20;
+    const MAX_EXPORT_SIZE = 8192;
+    const PALM_REJECTION_MS = 1000; // Ignore touches this long after pen activity
+    const MIN_POINT_DISTANCE = 1.5; // Screen pixels between recorded stroke points
+    const STROKE_SMOOTHING = 0.35; // Weight of the previous point when filtering input
+    const PRESSURE_MIN = 0.3; // Width multiplier at zero pressure
+    const PRESSURE_RANGE = 1.4; // Added width multiplier at full pressure
+    const SELECTION_COLOR = '#4a6fa5';
+    const HANDLE_SIZE = 8;
+    const HIT_TOLERANCE = 4;
+    const HANDLE_CURSORS = {
+        nw: 'nwse-resize', se: 'nwse-resize',
+        ne: 'nesw-resize', sw: 'nesw-resize',
+        n: 'ns-resize', s: 'ns-resize',
+        e: 'ew-resize', w: 'ew-resize'
+    };
 
-    // Store drawing history for undo
-    let history = [];
-    let historyIndex = -1;
-    const MAX_HISTORY = 50;
+    let measureCtx = null; // Offscreen context for measuring text
 
     /**
      * Initialize the whiteboard
@@ -39,25 +109,21 @@ const Whiteboard = (function() {
 
                 window.addEventListener('resize', resizeCanvas);
 
-                // Set up event listeners
-                canvas.addEventListener('mousedown', handleMouseDown);
-                canvas.addEventListener('mousemove', handleMouseMove);
-                canvas.addEventListener('mouseup', handleMouseUp);
-                canvas.addEventListener('mouseleave', handleMouseUp);
-
-                // Touch support
-                canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
-                canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
-                canvas.addEventListener('touchend', handleTouchEnd);
+                // Pointer events cover mouse, pen and touch
+                canvas.addEventListener('pointerdown', handlePointerDown);
+                canvas.addEventListener('pointermove', handlePointerMove);
+                canvas.addEventListener('pointerup', handlePointerUp);
+                canvas.addEventListener('pointercancel', handlePointerCancel);
+                canvas.addEventListener('wheel', handleWheel, { passive: false });
 
                 // Keyboard shortcuts
                 document.addEventListener('keydown', handleKeydown);
+                document.addEventListener('keyup', handleKeyup);
 
                 // Tool selection
                 initToolbar();
-
-                // Save initial state
-                saveState();
+                initZoomControls();
+                initMinimap();
             }
         });
     }
@@ -74,25 +140,77 @@ const Whiteboard = (function() {
         // Don't resize if container isn't visible
         if (rect.width === 0 || rect.height === 0) return;
 
-        // Store current drawing (only if canvas has content)
-        let imageData = null;
-        if (canvas.width > 0 && canvas.height > 0) {
-            imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        // Back the canvas with device pixels so strokes stay sharp
+        pixelRatio = window.devicePixelRatio || 1;
+        viewportWidth = rect.width;
+        viewportHeight = rect.height;
+        canvas.width = Math.round(rect.width * pixelRatio);
+        canvas.height = Math.round(rect.height * pixelRatio);
+        canvas.style.width = rect.width + 'px';
+        canvas.style.height = rect.height + 'px';
+
+        if (fitPending) {
+            fitPending = false;
+            zoomToFit();
         }
 
-        canvas.width = rect.width;
-        canvas.height = rect.height;
+        // Resizing wipes the bitmap, so redraw the scene
+        render();
+    }
+
+    /**
+     * Initialize zoom control buttons
+     */
+    function initZoomControls() {
+        const controls = document.getElementById('whiteboard-zoom-controls');
+        if (!controls) return;
+
+        controls.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-zoom]');
+            if (!btn) return;
+
+            const center = { x: viewportWidth / 2, y: viewportHeight / 2 };
+            switch (btn.dataset.zoom) {
+                case 'in': zoomAt(center, ZOOM_STEP); break;
+                case 'out': zoomAt(center, 1 / ZOOM_STEP); break;
+                case 'reset': zoomAt(center, 1 / view.zoom); break;
+                case 'fit': zoomToFit(); break;
+            }
+        });
+    }
 
-        // Set default styles
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-        ctx.strokeStyle = currentColor;
-        ctx.lineWidth = strokeWidth;
+    /**
+     * Initialize the minimap (click or drag to move the viewport)
+     */
+    function initMinimap() {
+        minimap = document.getElementById('whiteboard-minimap');
+        if (!minimap) return;
+
+        minimapCtx = minimap.getContext('2d');
+
+        let dragging = false;
+        const centerOn = (e) => {
+            if (!minimapTransform) return;
+            const rect = minimap.getBoundingClientRect();
+            const t = minimapTransform;
+            const worldX = (e.clientX - rect.left - t.offsetX) / t.scale;
+            const worldY = (e.clientY - rect.top - t.offsetY) / t.scale;
+            view.x = viewportWidth / 2 - worldX * view.zoom;
+            view.y = viewportHeight / 2 - worldY * view.zoom;
+            scheduleRender();
+        };
 
-        // Restore drawing if we had one
-        if (imageData) {
-            ctx.putImageData(imageData, 0, 0);
-        }
+        minimap.addEventListener('pointerdown', (e) => {
+            dragging = true;
+            minimap.setPointerCapture(e.pointerId);
+            centerOn(e);
+        });
+        minimap.addEventListener('pointermove', (e) => {
+            if (dragging) centerOn(e);
+        });
+        minimap.addEventListener('pointerup', () => {
+            dragging = false;
+        });
     }
 
     /**
@@ -111,6 +229,20 @@ const Whiteboard = (function() {
             });
         });
 
+        // Selection actions (z-order and delete)
+        const selectionToolbar = document.getElementById('whiteboard-selection-toolbar');
+        if (selectionToolbar) {
+            selectionToolbar.addEventListener('click', (e) => {
+                const btn = e.target.closest('button');
+                if (!btn) return;
+                if (btn.dataset.arrange) {
+                    arrange(btn.dataset.arrange);
+                } else if (btn.dataset.action === 'delete') {
+                    deleteSelected();
+                }
+            });
+        }
+
         // Color swatches
         const colorPicker = document.getElementById('color-picker');
         if (colorPicker) {
@@ -129,7 +261,22 @@ const Whiteboard = (function() {
      */
     function setTool(tool) {
         currentTool = tool;
-        canvas.style.cursor = tool === 'eraser' ? 'cell' : 'crosshair';
+        if (tool !== 'select') {
+            setSelection([]);
+        }
+        canvas.style.cursor = getToolCursor();
+    }
+
+    /**
+     * Get the default cursor for the current tool
+     */
+    function getToolCursor() {
+        switch (currentTool) {
+            case 'select': return 'default';
+            case 'eraser': return 'cell';
+            case 'text': return 'text';
+            default: return 'crosshair';
+        }
     }
 
     /**
@@ -137,184 +284,433 @@ const Whiteboard = (function() {
      */
     function setColor(color) {
         currentColor = color;
-        ctx.strokeStyle = color;
     }
 
     /**
-     * Get mouse/touch position relative to canvas
+     * Get mouse/touch position relative to canvas, in screen pixels
      */
-    function getPosition(e) {
+    function getScreenPosition(e) {
         const rect = canvas.getBoundingClientRect();
-        const clientX = e.clientX || (e.touches && e.touches[0].clientX);
-        const clientY = e.clientY || (e.touches && e.touches[0].clientY);
         return {
-            x: clientX - rect.left,
-            y: clientY - rect.top
+            x: e.clientX - rect.left,
+            y: e.clientY - rect.top
         };
     }
 
     /**
-     * Handle mouse down
+     * Get mouse/touch position in world coordinates
      */
-    function handleMouseDown(e) {
-        isDrawing = true;
-        const pos = getPosition(e);
-        startX = pos.x;
-        startY = pos.y;
+    function getPosition(e) {
+        return screenToWorld(getScreenPosition(e));
+    }
+
+    /**
+     * Convert a screen point to world coordinates
+     */
+    function screenToWorld(p) {
+        return {
+            x: (p.x - view.x) / view.zoom,
+            y: (p.y - view.y) / view.zoom
+        };
+    }
 
-        if (currentTool === 'pen' || currentTool === 'eraser') {
-            ctx.beginPath();
-            ctx.moveTo(pos.x, pos.y);
+    /**
+     * Get the world-space rectangle currently on screen
+     */
+    function getVisibleBounds() {
+        return {
+            x: -view.x / view.zoom,
+            y: -view.y / view.zoom,
+            width: viewportWidth / view.zoom,
+            height: viewportHeight / view.zoom
+        };
+    }
 
-            if (currentTool === 'eraser') {
-                ctx.globalCompositeOperation = 'destination-out';
-                ctx.lineWidth = 20;
-            } else {
-                ctx.globalCompositeOperation = 'source-over';
-                ctx.strokeStyle = currentColor;
-                ctx.lineWidth = strokeWidth;
+    /**
+     * Zoom by a factor, keeping the world point under `screenPoint` fixed
+     */
+    function zoomAt(screenPoint, factor) {
+        const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom * factor));
+        const ratio = zoom / view.zoom;
+        view = {
+            x: screenPoint.x - (screenPoint.x - view.x) * ratio,
+            y: screenPoint.y - (screenPoint.y - view.y) * ratio,
+            zoom
+        };
+        scheduleRender();
+    }
+
+    /**
+     * Fit all content on screen (or reset the view for an empty board)
+     */
+    function zoomToFit() {
+        const content = getContentBounds(EXPORT_PADDING);
+        if (!content || viewportWidth === 0 || viewportHeight === 0) {
+            view = { x: 0, y: 0, zoom: 1 };
+            scheduleRender();
+            return;
+        }
+
+        const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.min(
+            viewportWidth / content.width,
+            viewportHeight / content.height,
+            1
+        )));
+        view = {
+            x: (viewportWidth - content.width * zoom) / 2 - content.x * zoom,
+            y: (viewportHeight - content.height * zoom) / 2 - content.y * zoom,
+            zoom
+        };
+        scheduleRender();
+    }
+
+    /**
+     * Handle wheel and trackpad pinch (ctrl+wheel) zooming
+     */
+    function handleWheel(e) {
+        e.preventDefault();
+
+        // Pinch gestures report small deltas, so scale them up
+        const speed = e.ctrlKey ? 0.01 : 0.0015;
+        const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+        zoomAt(getScreenPosition(e), Math.exp(-delta * speed));
+    }
+
+    /**
+     * Start panning the viewport
+     */
+    function startPan(e) {
+        panState = { start: getScreenPosition(e), origin: { ...view } };
+        canvas.style.cursor = 'grabbing';
+    }
+
+    /**
+     * Handle pointer down (mouse, pen or touch)
+     */
+    function handlePointerDown(e) {
+        if (isPalm(e)) return;
+
+        // A pen taking over cancels any stroke a resting hand started
+        if (e.pointerType === 'pen') {
+            lastPenTime = Date.now();
+            if (activePointerType === 'touch') {
+                cancelInteraction();
+                pointers.clear();
+                pinchState = null;
             }
-        } else {
-            // For shapes, cache the current canvas for instant preview redraw
-            shapePreviewImage = new Image();
-            shapePreviewImage.src = canvas.toDataURL();
         }
+
+        pointers.set(e.pointerId, getScreenPosition(e));
+        if (canvas.setPointerCapture) {
+            canvas.setPointerCapture(e.pointerId);
+        }
+
+        // A second finger turns the gesture into a pinch; drop the stroke
+        if (e.pointerType === 'touch' && pointers.size === 2) {
+            cancelInteraction();
+            pinchState = { ...getPinch(), origin: { ...view } };
+            return;
+        }
+
+        // Only one pointer draws at a time
+        if (drawingPointerId !== null || pinchState) return;
+
+        drawingPointerId = e.pointerId;
+        activePointerType = e.pointerType;
+        beginAction(e);
     }
 
     /**
-     * Handle mouse move
+     * Handle pointer move
      */
-    function handleMouseMove(e) {
-        if (!isDrawing) return;
+    function handlePointerMove(e) {
+        if (e.pointerType === 'pen') {
+            lastPenTime = Date.now();
+        }
+        if (pointers.has(e.pointerId)) {
+            pointers.set(e.pointerId, getScreenPosition(e));
+        }
 
-        const pos = getPosition(e);
+        if (pinchState) {
+            if (pointers.size >= 2) {
+                updatePinch();
+            }
+            return;
+        }
 
-        if (currentTool === 'pen' || currentTool === 'eraser') {
-            ctx.lineTo(pos.x, pos.y);
-            ctx.stroke();
-        } else {
-            // Preview shape using cached image (instant, no async flicker)
-            if (shapePreviewImage && shapePreviewImage.complete) {
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                ctx.drawImage(shapePreviewImage, 0, 0);
-                drawShape(startX, startY, pos.x, pos.y, false);
+        // Hovering, or a second pointer we aren't tracking
+        if (drawingPointerId === null) {
+            if (!isPalm(e)) {
+                continueAction(e);
             }
+            return;
         }
+        if (e.pointerId !== drawingPointerId) return;
+
+        // Coalesced events carry the samples between frames (smoother pen input)
+        const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (samples.length > 0 ? samples : [e]).forEach(continueAction);
     }
 
     /**
-     * Handle mouse up
+     * Handle pointer up
      */
-    function handleMouseUp(e) {
-        if (!isDrawing) return;
-        isDrawing = false;
+    function handlePointerUp(e) {
+        pointers.delete(e.pointerId);
+
+        if (pinchState) {
+            if (pointers.size < 2) {
+                pinchState = null;
+            }
+            return;
+        }
+
+        if (e.pointerId !== drawingPointerId) return;
+        drawingPointerId = null;
+        activePointerType = null;
+        finishAction(e);
+    }
+
+    /**
+     * Handle pointer cancel (e.g. the browser took over the gesture)
+     */
+    function handlePointerCancel(e) {
+        pointers.delete(e.pointerId);
+        if (pointers.size < 2) {
+            pinchState = null;
+        }
+        if (e.pointerId === drawingPointerId) {
+            drawingPointerId = null;
+            activePointerType = null;
+            panState = null;
+            cancelInteraction();
+        }
+    }
+
+    /**
+     * Check whether a touch should be ignored because a pen is in use
+     */
+    function isPalm(e) {
+        return e.pointerType === 'touch' &&
+            (activePointerType === 'pen' || Date.now() - lastPenTime < PALM_REJECTION_MS);
+    }
 
+    /**
+     * Get a world-space input point, with pressure for pen input
+     */
+    function getInputPoint(e) {
         const pos = getPosition(e);
+        if (e.pointerType === 'pen' && e.pressure > 0) {
+            pos.p = Math.round(e.pressure * 1000) / 1000;
+        }
+        return pos;
+    }
 
-        if (currentTool !== 'pen' && currentTool !== 'eraser') {
-            // Draw final shape using cached image (instant)
-            if (shapePreviewImage && shapePreviewImage.complete) {
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                ctx.drawImage(shapePreviewImage, 0, 0);
-                drawShape(startX, startY, pos.x, pos.y, true);
-            }
-            shapePreviewImage = null; // Clear cached image
-            ctx.globalCompositeOperation = 'source-over';
-            ctx.lineWidth = strokeWidth;
-            saveState();
-        } else {
-            // Reset composite operation
-            ctx.globalCompositeOperation = 'source-over';
-            ctx.lineWidth = strokeWidth;
-            saveState();
+    /**
+     * Start drawing, erasing, selecting or panning
+     */
+    function beginAction(e) {
+        // Middle button or space+drag pans instead of drawing
+        if (e.button === 1 || spaceHeld) {
+            if (e.preventDefault) e.preventDefault();
+            startPan(e);
+            return;
         }
+        if (e.button === 2) return;
+
+        isDrawing = true;
+        const pos = getInputPoint(e);
+        startX = pos.x;
+        startY = pos.y;
+        lastPos = pos;
+
+        if (currentTool === 'select') {
+            beginSelectAction(pos, e.shiftKey);
+        } else if (currentTool === 'eraser') {
+            erasedIds = new Set();
+            eraseAt(pos);
+        } else if (currentTool === 'pen') {
+            draftItem = {
+                tool: 'pen',
+                color: currentColor,
+                width: strokeWidth,
+                points: [pos]
+            };
+        } else if (SHAPE_TOOLS.includes(currentTool)) {
+            draftItem = {
+                tool: currentTool,
+                color: currentColor,
+                width: strokeWidth,
+                points: [pos, pos]
+            };
+        }
+
+        scheduleRender();
     }
 
     /**
-     * Draw a shape
+     * Continue the current action (or update the hover cursor)
      */
-    function drawShape(x1, y1, x2, y2, save) {
-        ctx.beginPath();
-        ctx.strokeStyle = currentColor;
-        ctx.lineWidth = strokeWidth;
+    function continueAction(e) {
+        if (panState) {
+            const pos = getScreenPosition(e);
+            view.x = panState.origin.x + pos.x - panState.start.x;
+            view.y = panState.origin.y + pos.y - panState.start.y;
+            scheduleRender();
+            return;
+        }
 
-        switch (currentTool) {
-            case 'line':
-                ctx.moveTo(x1, y1);
-                ctx.lineTo(x2, y2);
-                ctx.stroke();
-                break;
+        if (!isDrawing) {
+            if (currentTool === 'select' && !spaceHeld) {
+                updateHoverCursor(getPosition(e));
+            }
+            return;
+        }
 
-            case 'rect':
-                ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
-                break;
+        const pos = getInputPoint(e);
 
-            case 'circle':
-                const radiusX = Math.abs(x2 - x1) / 2;
-                const radiusY = Math.abs(y2 - y1) / 2;
-                const centerX = Math.min(x1, x2) + radiusX;
-                const centerY = Math.min(y1, y2) + radiusY;
-                ctx.ellipse(centerX, centerY, radiusX, radiusY, 0, 0, Math.PI * 2);
-                ctx.stroke();
-                break;
+        if (currentTool === 'select') {
+            updateSelectAction(pos);
+        } else if (currentTool === 'eraser') {
+            eraseAlong(lastPos, pos);
+        } else if (draftItem && draftItem.tool === 'pen') {
+            addStrokePoint(draftItem, pos);
+        } else if (draftItem) {
+            draftItem.points = [draftItem.points[0], pos];
+        }
 
-            case 'arrow':
-                // Draw line
-                ctx.moveTo(x1, y1);
-                ctx.lineTo(x2, y2);
-                ctx.stroke();
-
-                // Draw arrowhead
-                const angle = Math.atan2(y2 - y1, x2 - x1);
-                const headLength = 15;
-                ctx.beginPath();
-                ctx.moveTo(x2, y2);
-                ctx.lineTo(
-                    x2 - headLength * Math.cos(angle - Math.PI / 6),
-                    y2 - headLength * Math.sin(angle - Math.PI / 6)
-                );
-                ctx.moveTo(x2, y2);
-                ctx.lineTo(
-                    x2 - headLength * Math.cos(angle + Math.PI / 6),
-                    y2 - headLength * Math.sin(angle + Math.PI / 6)
-                );
-                ctx.stroke();
-                break;
+        lastPos = pos;
+        scheduleRender();
+    }
 
-            case 'text':
-                const text = prompt('Enter text:');
-                if (text) {
-                    ctx.font = '16px sans-serif';
-                    ctx.fillStyle = currentColor;
-                    ctx.fillText(text, x1, y1);
-                }
-                break;
+    /**
+     * Finish the current action and commit it
+     */
+    function finishAction(e) {
+        if (panState) {
+            panState = null;
+            canvas.style.cursor = spaceHeld ? 'grab' : getToolCursor();
+            return;
+        }
+
+        if (!isDrawing) return;
+        isDrawing = false;
+
+        if (currentTool === 'select') {
+            endSelectAction();
+        } else if (currentTool === 'eraser') {
+            if (erasedIds.size > 0) {
+                items = items.filter(item => !erasedIds.has(item.id));
+                saveState();
+            }
+            erasedIds = new Set();
+        } else if (currentTool === 'text') {
+            const text = prompt('Enter text:');
+            if (text) {
+                addItem({
+                    tool: 'text',
+                    color: currentColor,
+                    width: strokeWidth,
+                    points: [{ x: startX, y: startY }],
+                    text,
+                    fontSize: TEXT_FONT_SIZE
+                });
+            }
+        } else if (draftItem && draftItem.tool === 'pen') {
+            // End exactly where the pointer lifted, then smooth the stroke
+            const end = getInputPoint(e);
+            const tail = draftItem.points[draftItem.points.length - 1];
+            if (end.x !== tail.x || end.y !== tail.y) {
+                draftItem.points.push({ ...end, p: end.p !== undefined ? end.p : tail.p });
+            }
+            draftItem.points = smoothStroke(draftItem.points);
+            addItem(draftItem);
+        } else if (draftItem) {
+            const [first, last] = [draftItem.points[0], draftItem.points[draftItem.points.length - 1]];
+            const isEmptyShape = draftItem.tool !== 'pen' && first.x === last.x && first.y === last.y;
+            if (!isEmptyShape) {
+                addItem(draftItem);
+            }
         }
+
+        draftItem = null;
+        lastPos = null;
+        render();
     }
 
     /**
-     * Touch event handlers
+     * Follow a two-finger pinch: zoom with the spread, pan with the center
      */
-    function handleTouchStart(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        handleMouseDown({ clientX: touch.clientX, clientY: touch.clientY });
+    function updatePinch() {
+        const pinch = getPinch();
+        const origin = pinchState.origin;
+        const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM,
+            origin.zoom * pinch.distance / pinchState.distance));
+
+        // Keep the world point under the starting center under the fingers
+        const worldX = (pinchState.center.x - origin.x) / origin.zoom;
+        const worldY = (pinchState.center.y - origin.y) / origin.zoom;
+        view = {
+            x: pinch.center.x - worldX * zoom,
+            y: pinch.center.y - worldY * zoom,
+            zoom
+        };
+        scheduleRender();
     }
 
-    function handleTouchMove(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        handleMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
+    /**
+     * Get the center and spread of the first two active pointers
+     */
+    function getPinch() {
+        const [a, b] = [...pointers.values()];
+        return {
+            center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y))
+        };
     }
 
-    function handleTouchEnd(e) {
-        handleMouseUp(e);
+    /**
+     * Abandon the current drawing or selection drag without committing it
+     */
+    function cancelInteraction() {
+        isDrawing = false;
+        draftItem = null;
+        transientItems = null;
+        selectAction = null;
+        erasedIds = new Set();
+        lastPos = null;
+        scheduleRender();
     }
 
     /**
      * Handle keyboard shortcuts
      */
     function handleKeydown(e) {
+        // Only react while the whiteboard is on screen and no field has focus
+        if (!canvas || canvas.offsetParent === null) return;
+        if (e.target.closest && e.target.closest('input, textarea, [contenteditable]')) return;
+
+        // Hold space to pan
+        if (e.key === ' ') {
+            e.preventDefault();
+            if (!spaceHeld && !isDrawing) {
+                spaceHeld = true;
+                canvas.style.cursor = 'grab';
+            }
+            return;
+        }
+
+        // Shift+1 zooms to fit, Shift+0 resets to 100%
+        if (e.shiftKey && !e.ctrlKey && !e.metaKey && (e.code === 'Digit1' || e.code === 'Digit0')) {
+            e.preventDefault();
+            if (e.code === 'Digit1') {
+                zoomToFit();
+            } else {
+                zoomAt({ x: viewportWidth / 2, y: viewportHeight / 2 }, 1 / view.zoom);
+            }
+            return;
+        }
+
         if (e.ctrlKey || e.metaKey) {
             switch (e.key.toLowerCase()) {
                 case 'z':
@@ -325,127 +721,1148 @@ const Whiteboard = (function() {
                         undo();
                     }
                     break;
+                case 'a':
+                    if (currentTool === 'select') {
+                        e.preventDefault();
+                        setSelection(items.map(item => item.id));
+                    }
+                    break;
+                case ']':
+                case '}':
+                    e.preventDefault();
+                    arrange(e.shiftKey ? 'front' : 'forward');
+                    break;
+                case '[':
+                case '{':
+                    e.preventDefault();
+                    arrange(e.shiftKey ? 'back' : 'backward');
+                    break;
+            }
+            return;
+        }
+
+        if (selectedIds.size === 0) return;
+
+        switch (e.key) {
+            case 'Delete':
+            case 'Backspace':
+                e.preventDefault();
+                deleteSelected();
+                break;
+            case 'Escape':
+                setSelection([]);
+                break;
+            case 'ArrowUp':
+            case 'ArrowDown':
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                e.preventDefault();
+                const step = e.shiftKey ? 10 : 1;
+                const dx = e.key === 'ArrowLeft' ? -step : e.key === 'ArrowRight' ? step : 0;
+                const dy = e.key === 'ArrowUp' ? -step : e.key === 'ArrowDown' ? step : 0;
+                items = items.map(item => selectedIds.has(item.id) ? translateItem(item, dx, dy) : item);
+                saveState();
+                render();
+                break;
             }
         }
     }
 
     /**
-     * Save current state to history
+     * Handle key release (ends space-panning)
      */
-    function saveState() {
-        if (!canvas) return;
-
-        // Remove any states after current index
-        history = history.slice(0, historyIndex + 1);
-
-        // Add current state
-        history.push(canvas.toDataURL());
-        historyIndex++;
-
-        // Limit history size
-        if (history.length > MAX_HISTORY) {
-            history.shift();
-            historyIndex--;
+    function handleKeyup(e) {
+        if (e.key === ' ' && spaceHeld) {
+            spaceHeld = false;
+            if (canvas && !panState) {
+                canvas.style.cursor = getToolCursor();
+            }
         }
     }
 
     /**
-     * Redraw canvas from last saved state (async, for previews)
+     * Generate a unique item ID
      */
-    function redrawFromHistory() {
-        if (historyIndex < 0) return;
+    function generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
 
-        const img = new Image();
-        img.src = history[historyIndex];
-        img.onload = () => {
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            ctx.drawImage(img, 0, 0);
+    /**
+     * Build a committed item: copy the points, assign an ID and compute bounds
+     */
+    function createItem(props) {
+        const item = {
+            ...props,
+            id: props.id || generateId(),
+            points: props.points.map(p => (p.p !== undefined ? { x: p.x, y: p.y, p: p.p } : { x: p.x, y: p.y }))
         };
+        item.bounds = getBounds(item);
+        return item;
+    }
+
+    /**
+     * Append a new item to the scene and record it in history
+     */
+    function addItem(props) {
+        items = [...items, createItem(props)];
+        saveState();
     }
 
     /**
-     * Redraw canvas from last saved state with callback (for final draws)
+     * Append a pointer sample to a pen stroke, dropping samples that barely
+     * moved and filtering jitter with an exponential moving average
      */
-    function redrawFromHistorySync(callback) {
-        if (historyIndex < 0) {
-            if (callback) callback();
+    function addStrokePoint(item, pos) {
+        const last = item.points[item.points.length - 1];
+        if (Math.hypot(pos.x - last.x, pos.y - last.y) < MIN_POINT_DISTANCE / view.zoom) {
             return;
         }
 
-        const img = new Image();
-        img.src = history[historyIndex];
-        img.onload = () => {
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            ctx.drawImage(img, 0, 0);
-            if (callback) callback();
+        const keep = STROKE_SMOOTHING;
+        const point = {
+            x: last.x * keep + pos.x * (1 - keep),
+            y: last.y * keep + pos.y * (1 - keep)
         };
+        if (pos.p !== undefined) {
+            point.p = last.p !== undefined ? last.p * keep + pos.p * (1 - keep) : pos.p;
+        }
+        item.points.push(point);
     }
 
     /**
-     * Undo last action
+     * Smooth a freehand stroke by interpolating a Catmull-Rom spline
+     * through its points
      */
-    function undo() {
-        if (historyIndex > 0) {
-            historyIndex--;
-            const img = new Image();
-            img.src = history[historyIndex];
-            img.onload = () => {
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                ctx.drawImage(img, 0, 0);
-            };
+    function smoothStroke(points) {
+        if (points.length < 3) return points;
+
+        const round = n => Math.round(n * 100) / 100;
+        const result = [points[0]];
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const p0 = points[Math.max(0, i - 1)];
+            const p1 = points[i];
+            const p2 = points[i + 1];
+            const p3 = points[Math.min(points.length - 1, i + 2)];
+            const length = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+            const steps = Math.min(8, Math.max(1, Math.ceil(length / 4)));
+
+            for (let step = 1; step <= steps; step++) {
+                const t = step / steps;
+                const t2 = t * t;
+                const t3 = t2 * t;
+                const spline = (a, b, c, d) => 0.5 * (
+                    2 * b +
+                    (c - a) * t +
+                    (2 * a - 5 * b + 4 * c - d) * t2 +
+                    (3 * b - a - 3 * c + d) * t3
+                );
+
+                const point = {
+                    x: round(spline(p0.x, p1.x, p2.x, p3.x)),
+                    y: round(spline(p0.y, p1.y, p2.y, p3.y))
+                };
+                if (p1.p !== undefined && p2.p !== undefined) {
+                    point.p = Math.round((p1.p + (p2.p - p1.p) * t) * 1000) / 1000;
+                }
+                result.push(point);
+            }
         }
+
+        return result;
     }
 
     /**
-     * Redo last undone action
+     * Check whether a pen stroke was drawn with pressure
      */
-    function redo() {
-        if (historyIndex < history.length - 1) {
-            historyIndex++;
-            const img = new Image();
-            img.src = history[historyIndex];
-            img.onload = () => {
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                ctx.drawImage(img, 0, 0);
-            };
-        }
+    function hasPressure(item) {
+        return item.tool === 'pen' && item.points.some(p => p.p !== undefined);
     }
 
     /**
-     * Clear the canvas
+     * Stroke width at a point of a pressure-sensitive stroke
      */
-    function clear() {
-        if (!ctx) return;
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        saveState();
+    function getPressureWidth(item, point) {
+        const pressure = point.p !== undefined ? point.p : 0.5;
+        return item.width * (PRESSURE_MIN + PRESSURE_RANGE * pressure);
     }
 
     /**
-     * Export canvas as PNG
+     * Widest stroke width an item is drawn with
      */
-    function exportPNG() {
-        if (!canvas) return;
+    function getMaxStrokeWidth(item) {
+        if (!hasPressure(item)) return item.width;
+        return Math.max(...item.points.map(p => getPressureWidth(item, p)));
+    }
 
-        const link = document.createElement('a');
-        link.download = 'whiteboard-' + Date.now() + '.png';
-        link.href = canvas.toDataURL('image/png');
-        link.click();
+    /**
+     * Measure the width of a text item's string
+     */
+    function measureText(text, fontSize) {
+        if (!measureCtx) {
+            measureCtx = document.createElement('canvas').getContext('2d');
+        }
+        measureCtx.font = `${fontSize}px ${TEXT_FONT_FAMILY}`;
+        return measureCtx.measureText(text).width;
     }
 
     /**
-     * Export canvas as SVG (simplified - just creates a PNG embedded in SVG)
+     * Get the two outer points of an arrowhead ending at (x2, y2)
      */
-    function exportSVG() {
-        if (!canvas) return;
+    function getArrowHead(x1, y1, x2, y2) {
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        return [
+            {
+                x: x2 - ARROW_HEAD_LENGTH * Math.cos(angle - Math.PI / 6),
+                y: y2 - ARROW_HEAD_LENGTH * Math.sin(angle - Math.PI / 6)
+            },
+            {
+                x: x2 - ARROW_HEAD_LENGTH * Math.cos(angle + Math.PI / 6),
+                y: y2 - ARROW_HEAD_LENGTH * Math.sin(angle + Math.PI / 6)
+            }
+        ];
+    }
 
-        const dataUrl = canvas.toDataURL('image/png');
-        const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"
-     width="${canvas.width}" height="${canvas.height}">
-    <image xlink:href="${dataUrl}" width="${canvas.width}" height="${canvas.height}"/>
-</svg>`;
+    /**
+     * Compute an item's bounding box, including stroke width
+     */
+    function getBounds(item) {
+        if (item.tool === 'text') {
+            const { x, y } = item.points[0];
+            return {
+                x,
+                y: y - item.fontSize,
+                width: measureText(item.text, item.fontSize),
+                height: item.fontSize * 1.25
+            };
+        }
 
-        const blob = new Blob([svg], { type: 'image/svg+xml' });
+        let points = item.points;
+        if (item.tool === 'arrow') {
+            const [a, b] = item.points;
+            points = points.concat(getArrowHead(a.x, a.y, b.x, b.y));
+        }
+
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const pad = getMaxStrokeWidth(item) / 2;
+        const minX = Math.min(...xs) - pad;
+        const minY = Math.min(...ys) - pad;
+
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) + pad - minX,
+            height: Math.max(...ys) + pad - minY
+        };
+    }
+
+    /**
+     * Get the outline of an item as a polyline (used for hit testing)
+     */
+    function getOutline(item) {
+        const [a, b] = item.points;
+
+        switch (item.tool) {
+            case 'rect':
+                return [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }, a];
+
+            case 'circle': {
+                const rx = Math.abs(b.x - a.x) / 2;
+                const ry = Math.abs(b.y - a.y) / 2;
+                const cx = Math.min(a.x, b.x) + rx;
+                const cy = Math.min(a.y, b.y) + ry;
+                const outline = [];
+                for (let i = 0; i <= 48; i++) {
+                    const t = (i / 48) * Math.PI * 2;
+                    outline.push({ x: cx + rx * Math.cos(t), y: cy + ry * Math.sin(t) });
+                }
+                return outline;
+            }
+
+            default:
+                return item.points;
+        }
+    }
+
+    /**
+     * Distance from point p to the segment a-b
+     */
+    function distanceToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        let t = lengthSq === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq;
+        t = Math.max(0, Math.min(1, t));
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
+
+    /**
+     * Check whether a point lies within `tolerance` of an item
+     */
+    function hitTest(item, pos, tolerance) {
+        const b = item.bounds;
+        if (pos.x < b.x - tolerance || pos.x > b.x + b.width + tolerance ||
+            pos.y < b.y - tolerance || pos.y > b.y + b.height + tolerance) {
+            return false;
+        }
+
+        if (item.tool === 'text') {
+            return true;
+        }
+
+        const outline = getOutline(item);
+        const reach = tolerance + getMaxStrokeWidth(item) / 2;
+
+        if (outline.length === 1) {
+            return Math.hypot(pos.x - outline[0].x, pos.y - outline[0].y) <= reach;
+        }
+
+        for (let i = 1; i < outline.length; i++) {
+            if (distanceToSegment(pos, outline[i - 1], outline[i]) <= reach) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Mark every item under the eraser at pos for removal
+     */
+    function eraseAt(pos) {
+        items.forEach(item => {
+            if (!erasedIds.has(item.id) && hitTest(item, pos, ERASER_RADIUS / view.zoom)) {
+                erasedIds.add(item.id);
+            }
+        });
+    }
+
+    /**
+     * Erase along the segment between two pointer positions so fast
+     * movements don't skip over thin strokes
+     */
+    function eraseAlong(from, to) {
+        const distance = Math.hypot(to.x - from.x, to.y - from.y);
+        const steps = Math.max(1, Math.ceil(distance / (ERASER_RADIUS / view.zoom)));
+        for (let i = 1; i <= steps; i++) {
+            eraseAt({
+                x: from.x + ((to.x - from.x) * i) / steps,
+                y: from.y + ((to.y - from.y) * i) / steps
+            });
+        }
+    }
+
+    /**
+     * Find the topmost item under a point
+     */
+    function getItemAt(pos) {
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (hitTest(items[i], pos, HIT_TOLERANCE / view.zoom)) {
+                return items[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the union of several bounding boxes
+     */
+    function unionBounds(boxes) {
+        if (boxes.length === 0) return null;
+
+        const minX = Math.min(...boxes.map(b => b.x));
+        const minY = Math.min(...boxes.map(b => b.y));
+        const maxX = Math.max(...boxes.map(b => b.x + b.width));
+        const maxY = Math.max(...boxes.map(b => b.y + b.height));
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Get the bounding box of all items plus padding, or null when empty
+     */
+    function getContentBounds(padding = 0) {
+        const content = unionBounds(items.map(item => item.bounds));
+        if (!content) return null;
+
+        return {
+            x: content.x - padding,
+            y: content.y - padding,
+            width: content.width + padding * 2,
+            height: content.height + padding * 2
+        };
+    }
+
+    /**
+     * Check whether two boxes overlap
+     */
+    function intersectsBounds(a, b) {
+        return a.x < b.x + b.width && b.x < a.x + a.width &&
+            a.y < b.y + b.height && b.y < a.y + a.height;
+    }
+
+    /**
+     * Get the bounding box around every selected item
+     */
+    function getSelectionBounds(source = items) {
+        return unionBounds(source.filter(item => selectedIds.has(item.id)).map(item => item.bounds));
+    }
+
+    /**
+     * Get resize handle positions around a bounding box
+     */
+    function getHandles(bounds) {
+        const { x, y, width, height } = bounds;
+        const midX = x + width / 2;
+        const midY = y + height / 2;
+        return {
+            nw: { x, y }, n: { x: midX, y }, ne: { x: x + width, y },
+            e: { x: x + width, y: midY }, se: { x: x + width, y: y + height },
+            s: { x: midX, y: y + height }, sw: { x, y: y + height }, w: { x, y: midY }
+        };
+    }
+
+    /**
+     * Find the resize handle under a point, if any
+     */
+    function getHandleAt(pos) {
+        const bounds = getSelectionBounds();
+        if (!bounds) return null;
+
+        const handles = getHandles(bounds);
+        const reach = HANDLE_SIZE / view.zoom;
+        return Object.keys(handles).find(name =>
+            Math.abs(pos.x - handles[name].x) <= reach &&
+            Math.abs(pos.y - handles[name].y) <= reach
+        ) || null;
+    }
+
+    /**
+     * Replace the current selection
+     */
+    function setSelection(ids) {
+        selectedIds = new Set(ids);
+
+        const selectionToolbar = document.getElementById('whiteboard-selection-toolbar');
+        if (selectionToolbar) {
+            selectionToolbar.classList.toggle('hidden', selectedIds.size === 0);
+        }
+
+        render();
+    }
+
+    /**
+     * Drop selected IDs that no longer exist (e.g. after undo)
+     */
+    function pruneSelection() {
+        const existing = new Set(items.map(item => item.id));
+        const kept = [...selectedIds].filter(id => existing.has(id));
+        if (kept.length !== selectedIds.size) {
+            setSelection(kept);
+        }
+    }
+
+    /**
+     * Start a select-tool drag: resize, move or marquee
+     */
+    function beginSelectAction(pos, additive) {
+        const handle = getHandleAt(pos);
+        if (handle) {
+            selectAction = { type: 'resize', handle, start: pos, frame: getSelectionBounds() };
+            return;
+        }
+
+        const hit = getItemAt(pos);
+        if (hit) {
+            if (additive) {
+                const ids = new Set(selectedIds);
+                if (ids.has(hit.id)) {
+                    ids.delete(hit.id);
+                } else {
+                    ids.add(hit.id);
+                }
+                setSelection([...ids]);
+            } else if (!selectedIds.has(hit.id)) {
+                setSelection([hit.id]);
+            }
+            selectAction = selectedIds.has(hit.id) ? { type: 'move', start: pos } : null;
+            return;
+        }
+
+        const base = additive ? [...selectedIds] : [];
+        setSelection(base);
+        selectAction = { type: 'marquee', start: pos, end: pos, base };
+    }
+
+    /**
+     * Update the active select-tool drag
+     */
+    function updateSelectAction(pos) {
+        if (!selectAction) return;
+
+        const dx = pos.x - selectAction.start.x;
+        const dy = pos.y - selectAction.start.y;
+
+        switch (selectAction.type) {
+            case 'move':
+                if (dx === 0 && dy === 0) {
+                    transientItems = null;
+                    break;
+                }
+                transientItems = items.map(item =>
+                    selectedIds.has(item.id) ? translateItem(item, dx, dy) : item
+                );
+                break;
+
+            case 'resize':
+                transientItems = resizeSelection(selectAction.frame, selectAction.handle, dx, dy);
+                break;
+
+            case 'marquee': {
+                selectAction.end = pos;
+                const area = rectFromPoints(selectAction.start, pos);
+                const inside = items
+                    .filter(item => containsBounds(area, item.bounds))
+                    .map(item => item.id);
+                selectedIds = new Set([...selectAction.base, ...inside]);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Finish the active select-tool drag and commit any change
+     */
+    function endSelectAction() {
+        if (transientItems) {
+            items = transientItems;
+            transientItems = null;
+            saveState();
+        }
+        selectAction = null;
+        setSelection([...selectedIds]);
+    }
+
+    /**
+     * Show a resize cursor when hovering a selection handle
+     */
+    function updateHoverCursor(pos) {
+        const handle = getHandleAt(pos);
+        if (handle) {
+            canvas.style.cursor = HANDLE_CURSORS[handle];
+        } else {
+            canvas.style.cursor = getItemAt(pos) ? 'move' : getToolCursor();
+        }
+    }
+
+    /**
+     * Normalized rectangle spanning two points
+     */
+    function rectFromPoints(a, b) {
+        return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(b.x - a.x),
+            height: Math.abs(b.y - a.y)
+        };
+    }
+
+    /**
+     * Check whether box `outer` fully contains box `inner`
+     */
+    function containsBounds(outer, inner) {
+        return inner.x >= outer.x && inner.y >= outer.y &&
+            inner.x + inner.width <= outer.x + outer.width &&
+            inner.y + inner.height <= outer.y + outer.height;
+    }
+
+    /**
+     * Return a copy of an item moved by (dx, dy)
+     */
+    function translateItem(item, dx, dy) {
+        return createItem({
+            ...item,
+            points: item.points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy }))
+        });
+    }
+
+    /**
+     * Return a copy of an item scaled from `frame` into `target`
+     */
+    function scaleItem(item, frame, target) {
+        const sx = target.width / frame.width;
+        const sy = target.height / frame.height;
+        const scaled = {
+            ...item,
+            points: item.points.map(p => ({
+                ...p,
+                x: target.x + (p.x - frame.x) * sx,
+                y: target.y + (p.y - frame.y) * sy
+            }))
+        };
+        if (item.tool === 'text') {
+            scaled.fontSize = Math.max(4, item.fontSize * Math.abs(sy));
+        }
+        return createItem(scaled);
+    }
+
+    /**
+     * Resize the selected items by dragging one handle of their frame
+     */
+    function resizeSelection(frame, handle, dx, dy) {
+        let left = frame.x;
+        let top = frame.y;
+        let right = frame.x + frame.width;
+        let bottom = frame.y + frame.height;
+
+        if (handle.includes('w')) left += dx;
+        if (handle.includes('e')) right += dx;
+        if (handle.includes('n')) top += dy;
+        if (handle.includes('s')) bottom += dy;
+
+        const target = { x: left, y: top, width: right - left, height: bottom - top };
+        if (target.width === 0 || target.height === 0) {
+            return transientItems;
+        }
+
+        return items.map(item =>
+            selectedIds.has(item.id) ? scaleItem(item, frame, target) : item
+        );
+    }
+
+    /**
+     * Delete the selected items
+     */
+    function deleteSelected() {
+        if (selectedIds.size === 0) return;
+
+        items = items.filter(item => !selectedIds.has(item.id));
+        saveState();
+        setSelection([]);
+    }
+
+    /**
+     * Change the stacking order of the selected items
+     * @param {string} direction - 'front', 'back', 'forward' or 'backward'
+     */
+    function arrange(direction) {
+        if (selectedIds.size === 0) return;
+
+        const isSelected = item => selectedIds.has(item.id);
+        let next = items.slice();
+
+        switch (direction) {
+            case 'front':
+                next = next.filter(item => !isSelected(item)).concat(next.filter(isSelected));
+                break;
+
+            case 'back':
+                next = next.filter(isSelected).concat(next.filter(item => !isSelected(item)));
+                break;
+
+            case 'forward':
+                for (let i = next.length - 2; i >= 0; i--) {
+                    if (isSelected(next[i]) && !isSelected(next[i + 1])) {
+                        [next[i], next[i + 1]] = [next[i + 1], next[i]];
+                    }
+                }
+                break;
+
+            case 'backward':
+                for (let i = 1; i < next.length; i++) {
+                    if (isSelected(next[i]) && !isSelected(next[i - 1])) {
+                        [next[i], next[i - 1]] = [next[i - 1], next[i]];
+                    }
+                }
+                break;
+
+            default:
+                return;
+        }
+
+        if (next.every((item, i) => item === items[i])) return;
+
+        items = next;
+        saveState();
+        render();
+    }
+
+    /**
+     * Draw selection outlines, resize handles and the marquee
+     */
+    function drawSelection(context, source) {
+        // Overlays keep a constant on-screen size regardless of zoom
+        const unit = 1 / view.zoom;
+        const handleSize = HANDLE_SIZE * unit;
+
+        context.save();
+        context.strokeStyle = SELECTION_COLOR;
+        context.lineWidth = unit;
+
+        const selected = source.filter(item => selectedIds.has(item.id));
+        context.setLineDash([4 * unit, 4 * unit]);
+        selected.forEach(item => {
+            const b = item.bounds;
+            context.strokeRect(b.x, b.y, b.width, b.height);
+        });
+        context.setLineDash([]);
+
+        const frame = unionBounds(selected.map(item => item.bounds));
+        if (frame && !(selectAction && selectAction.type === 'marquee')) {
+            context.fillStyle = '#ffffff';
+            Object.values(getHandles(frame)).forEach(h => {
+                context.fillRect(h.x - handleSize / 2, h.y - handleSize / 2, handleSize, handleSize);
+                context.strokeRect(h.x - handleSize / 2, h.y - handleSize / 2, handleSize, handleSize);
+            });
+        }
+
+        if (selectAction && selectAction.type === 'marquee') {
+            const area = rectFromPoints(selectAction.start, selectAction.end);
+            context.fillStyle = 'rgba(74, 111, 165, 0.08)';
+            context.fillRect(area.x, area.y, area.width, area.height);
+            context.strokeRect(area.x, area.y, area.width, area.height);
+        }
+
+        context.restore();
+    }
+
+    /**
+     * Draw a single item onto a 2D context
+     */
+    function drawItem(context, item) {
+        const [a, b] = item.points;
+
+        context.save();
+        context.strokeStyle = item.color;
+        context.fillStyle = item.color;
+        context.lineWidth = item.width;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.beginPath();
+
+        switch (item.tool) {
+            case 'pen':
+                if (item.points.length === 1) {
+                    context.arc(a.x, a.y, getMaxStrokeWidth(item) / 2, 0, Math.PI * 2);
+                    context.fill();
+                    break;
+                }
+                if (hasPressure(item)) {
+                    // Variable width: stroke each segment at its own width
+                    for (let i = 1; i < item.points.length; i++) {
+                        const from = item.points[i - 1];
+                        const to = item.points[i];
+                        context.beginPath();
+                        context.lineWidth = (getPressureWidth(item, from) + getPressureWidth(item, to)) / 2;
+                        context.moveTo(from.x, from.y);
+                        context.lineTo(to.x, to.y);
+                        context.stroke();
+                    }
+                    break;
+                }
+                context.moveTo(a.x, a.y);
+                item.points.slice(1).forEach(p => context.lineTo(p.x, p.y));
+                context.stroke();
+                break;
+
+            case 'line':
+                context.moveTo(a.x, a.y);
+                context.lineTo(b.x, b.y);
+                context.stroke();
+                break;
+
+            case 'rect':
+                context.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+                break;
+
+            case 'circle': {
+                const radiusX = Math.abs(b.x - a.x) / 2;
+                const radiusY = Math.abs(b.y - a.y) / 2;
+                const centerX = Math.min(a.x, b.x) + radiusX;
+                const centerY = Math.min(a.y, b.y) + radiusY;
+                context.ellipse(centerX, centerY, radiusX, radiusY, 0, 0, Math.PI * 2);
+                context.stroke();
+                break;
+            }
+
+            case 'arrow': {
+                // Draw line
+                context.moveTo(a.x, a.y);
+                context.lineTo(b.x, b.y);
+
+                context.stroke();
+
+                // Draw arrowhead as a closed triangle (matches the SVG polygon)
+                const [left, right] = getArrowHead(a.x, a.y, b.x, b.y);
+                context.beginPath();
+                context.moveTo(b.x, b.y);
+                context.lineTo(left.x, left.y);
+                context.lineTo(right.x, right.y);
+                context.closePath();
+                context.fill();
+                context.stroke();
+                break;
+            }
+
+            case 'text':
+                context.font = `${item.fontSize}px ${TEXT_FONT_FAMILY}`;
+                context.fillText(item.text, a.x, a.y);
+                break;
+        }
+
+        context.restore();
+    }
+
+    /**
+     * Redraw the whole canvas from the item list
+     */
+    function render() {
+        if (!canvas || !ctx) return;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.setTransform(
+            pixelRatio * view.zoom, 0, 0, pixelRatio * view.zoom,
+            pixelRatio * view.x, pixelRatio * view.y
+        );
+
+        // Skip items that are entirely off screen
+        const visible = getVisibleBounds();
+        const source = transientItems || items;
+        source.forEach(item => {
+            if (!erasedIds.has(item.id) && intersectsBounds(visible, item.bounds)) {
+                drawItem(ctx, item);
+            }
+        });
+
+        if (draftItem) {
+            drawItem(ctx, draftItem);
+        }
+
+        if (selectedIds.size > 0 || selectAction) {
+            drawSelection(ctx, source);
+        }
+
+        updateGrid();
+        renderMinimap();
+    }
+
+    /**
+     * Move and scale the CSS grid background with the viewport
+     */
+    function updateGrid() {
+        const container = canvas.parentElement;
+        if (!container) return;
+
+        container.style.setProperty('--grid-size', GRID_SIZE * view.zoom + 'px');
+        container.style.setProperty('--grid-x', view.x + 'px');
+        container.style.setProperty('--grid-y', view.y + 'px');
+
+        const level = document.getElementById('whiteboard-zoom-level');
+        if (level) {
+            level.textContent = Math.round(view.zoom * 100) + '%';
+        }
+    }
+
+    /**
+     * Draw an overview of the whole board with the visible area outlined
+     */
+    function renderMinimap() {
+        if (!minimap || !minimapCtx) return;
+
+        const width = minimap.width;
+        const height = minimap.height;
+        const visible = getVisibleBounds();
+        const content = getContentBounds(EXPORT_PADDING);
+        const area = content ? unionBounds([content, visible]) : visible;
+        const scale = Math.min(width / area.width, height / area.height);
+
+        minimapTransform = {
+            scale,
+            offsetX: (width - area.width * scale) / 2 - area.x * scale,
+            offsetY: (height - area.height * scale) / 2 - area.y * scale
+        };
+
+        const t = minimapTransform;
+        minimapCtx.setTransform(1, 0, 0, 1, 0, 0);
+        minimapCtx.clearRect(0, 0, width, height);
+        minimapCtx.setTransform(t.scale, 0, 0, t.scale, t.offsetX, t.offsetY);
+        items.forEach(item => drawItem(minimapCtx, item));
+
+        minimapCtx.setTransform(1, 0, 0, 1, 0, 0);
+        minimapCtx.strokeStyle = SELECTION_COLOR;
+        minimapCtx.lineWidth = 1.5;
+        minimapCtx.strokeRect(
+            visible.x * t.scale + t.offsetX,
+            visible.y * t.scale + t.offsetY,
+            visible.width * t.scale,
+            visible.height * t.scale
+        );
+    }
+
+    /**
+     * Redraw on the next animation frame (coalesces pointer move events)
+     */
+    function scheduleRender() {
+        if (renderQueued) return;
+        renderQueued = true;
+        requestAnimationFrame(() => {
+            renderQueued = false;
+            render();
+        });
+    }
+
+    /**
+     * Save current state to history
+     */
+    function saveState() {
+        // Remove any states after current index
+        history = history.slice(0, historyIndex + 1);
+
+        // Items are immutable, so storing the array reference is enough
+        history.push(items);
+        historyIndex++;
+    }
+
+    /**
+     * Undo last action
+     */
+    function undo() {
+        if (historyIndex > 0) {
+            historyIndex--;
+            items = history[historyIndex];
+            pruneSelection();
+            render();
+        }
+    }
+
+    /**
+     * Redo last undone action
+     */
+    function redo() {
+        if (historyIndex < history.length - 1) {
+            historyIndex++;
+            items = history[historyIndex];
+            pruneSelection();
+            render();
+        }
+    }
+
+    /**
+     * Clear the canvas
+     */
+    function clear() {
+        if (items.length === 0) return;
+        items = [];
+        saveState();
+        setSelection([]);
+    }
+
+    /**
+     * Get the board as a plain scene object (for saving)
+     */
+    function getScene() {
+        return {
+            version: SCENE_VERSION,
+            items: items.map(({ bounds, ...item }) => item)
+        };
+    }
+
+    /**
+     * Replace the board with a saved scene and start a fresh history
+     */
+    function loadScene(scene) {
+        const saved = scene && Array.isArray(scene.items) ? scene.items : [];
+        items = saved
+            .filter(item => item && ITEM_TOOLS.includes(item.tool) &&
+                Array.isArray(item.points) && item.points.length > 0)
+            .map(createItem);
+
+        history = [items];
+        historyIndex = 0;
+        draftItem = null;
+        transientItems = null;
+        selectAction = null;
+
+        // Frame the loaded content (deferred until the canvas is laid out)
+        if (viewportWidth > 0 && canvas && canvas.offsetParent !== null) {
+            zoomToFit();
+        } else {
+            fitPending = true;
+        }
+        setSelection([]);
+    }
+
+    /**
+     * Start a new, unsaved board
+     */
+    function newBoard() {
+        currentBoard = null;
+        loadScene(null);
+    }
+
+    /**
+     * Set the saved board being edited
+     */
+    function setCurrentBoard(id, title) {
+        currentBoard = { id, title };
+    }
+
+    /**
+     * Get the saved board being edited, if any
+     */
+    function getCurrentBoard() {
+        return currentBoard;
+    }
+
+    /**
+     * Check whether the board has any items
+     */
+    function isEmpty() {
+        return items.length === 0;
+    }
+
+    /**
+     * Draw the items onto a fresh canvas cropped to the full content bounds,
+     * without selection overlays
+     */
+    function renderImage() {
+        const box = getContentBounds(EXPORT_PADDING) || getVisibleBounds();
+        const scale = Math.min(1, MAX_EXPORT_SIZE / Math.max(box.width, box.height));
+
+        const image = document.createElement('canvas');
+        image.width = Math.max(1, Math.ceil(box.width * scale));
+        image.height = Math.max(1, Math.ceil(box.height * scale));
+        const imageCtx = image.getContext('2d');
+        imageCtx.setTransform(scale, 0, 0, scale, -box.x * scale, -box.y * scale);
+        items.forEach(item => drawItem(imageCtx, item));
+        return image;
+    }
+
+    /**
+     * Export canvas as PNG
+     */
+    function exportPNG() {
+        if (!canvas) return;
+
+        const link = document.createElement('a');
+        link.download = 'whiteboard-' + Date.now() + '.png';
+        link.href = renderImage().toDataURL('image/png');
+        link.click();
+    }
+
+    /**
+     * Escape a string for use in SVG text or attribute values
+     */
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Format a coordinate for SVG output
+     */
+    function formatNumber(n) {
+        return String(Math.round(n * 100) / 100);
+    }
+
+    /**
+     * Convert a single item to an SVG element string
+     */
+    function itemToSVG(item) {
+        const [a, b] = item.points;
+        const n = formatNumber;
+        const stroke = `stroke="${escapeXml(item.color)}" stroke-width="${n(item.width)}"`;
+
+        switch (item.tool) {
+            case 'pen': {
+                if (hasPressure(item) && item.points.length > 1) {
+                    return pressureStrokeToSVG(item);
+                }
+                const rest = item.points.length > 1 ? item.points.slice(1) : [a];
+                const d = `M${n(a.x)} ${n(a.y)} ` + rest.map(p => `L${n(p.x)} ${n(p.y)}`).join(' ');
+                return `<path d="${d}" fill="none" ${stroke} stroke-linecap="round" stroke-linejoin="round"/>`;
+            }
+
+            case 'line':
+                return `<line x1="${n(a.x)}" y1="${n(a.y)}" x2="${n(b.x)}" y2="${n(b.y)}" ${stroke} stroke-linecap="round"/>`;
+
+            case 'rect':
+                return `<rect x="${n(Math.min(a.x, b.x))}" y="${n(Math.min(a.y, b.y))}" ` +
+                    `width="${n(Math.abs(b.x - a.x))}" height="${n(Math.abs(b.y - a.y))}" fill="none" ${stroke}/>`;
+
+            case 'circle': {
+                const rx = Math.abs(b.x - a.x) / 2;
+                const ry = Math.abs(b.y - a.y) / 2;
+                return `<ellipse cx="${n(Math.min(a.x, b.x) + rx)}" cy="${n(Math.min(a.y, b.y) + ry)}" ` +
+                    `rx="${n(rx)}" ry="${n(ry)}" fill="none" ${stroke}/>`;
+            }
+
+            case 'arrow': {
+                const [left, right] = getArrowHead(a.x, a.y, b.x, b.y);
+                const head = [b, left, right].map(p => `${n(p.x)},${n(p.y)}`).join(' ');
+                return `<g ${stroke} stroke-linecap="round" stroke-linejoin="round">` +
+                    `<line x1="${n(a.x)}" y1="${n(a.y)}" x2="${n(b.x)}" y2="${n(b.y)}"/>` +
+                    `<polygon points="${head}" fill="${escapeXml(item.color)}"/></g>`;
+            }
+
+            case 'text':
+                return `<text x="${n(a.x)}" y="${n(a.y)}" font-family="${TEXT_FONT_FAMILY}" ` +
+                    `font-size="${n(item.fontSize)}" fill="${escapeXml(item.color)}" xml:space="preserve">` +
+                    `${escapeXml(item.text)}</text>`;
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Convert a pressure-sensitive stroke to SVG: consecutive segments of
+     * similar width are merged into one <path> each
+     */
+    function pressureStrokeToSVG(item) {
+        const n = formatNumber;
+        const runs = [];
+
+        for (let i = 1; i < item.points.length; i++) {
+            const from = item.points[i - 1];
+            const to = item.points[i];
+            const width = Math.round((getPressureWidth(item, from) + getPressureWidth(item, to))) / 2;
+            const run = runs[runs.length - 1];
+            if (run && run.width === width) {
+                run.d += ` L${n(to.x)} ${n(to.y)}`;
+            } else {
+                runs.push({ width, d: `M${n(from.x)} ${n(from.y)} L${n(to.x)} ${n(to.y)}` });
+            }
+        }
+
+        return `<g fill="none" stroke="${escapeXml(item.color)}" stroke-linecap="round" stroke-linejoin="round">` +
+            runs.map(run => `<path d="${run.d}" stroke-width="${n(run.width)}"/>`).join('') +
+            '</g>';
+    }
+
+    /**
+     * Build an SVG document of the whole board, cropped to its content
+     */
+    function toSVG() {
+        const box = getContentBounds(EXPORT_PADDING) || getVisibleBounds();
+        const n = formatNumber;
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${n(box.width)}" height="${n(box.height)}" viewBox="${n(box.x)} ${n(box.y)} ${n(box.width)} ${n(box.height)}">
+${items.map(item => '    ' + itemToSVG(item)).join('\n')}
+</svg>
+`;
+    }
+
+    /**
+     * Export the board as a vector SVG file
+     */
+    function exportSVG() {
+        const blob = new Blob([toSVG()], { type: 'image/svg+xml' });
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.download = 'whiteboard-' + Date.now() + '.svg';
@@ -461,7 +1878,7 @@ const Whiteboard = (function() {
         if (!canvas) return;
 
         try {
-            const blob = await new Promise(resolve => canvas.toBlob(resolve));
+            const blob = await new Promise(resolve => renderImage().toBlob(resolve));
             await navigator.clipboard.write([
                 new ClipboardItem({ 'image/png': blob })
             ]);
@@ -477,7 +1894,7 @@ const Whiteboard = (function() {
      */
     function getDataURL() {
         if (!canvas) return null;
-        return canvas.toDataURL('image/png');
+        return renderImage().toDataURL('image/png');
     }
 
     // Public API
@@ -485,12 +1902,22 @@ const Whiteboard = (function() {
         init,
         setTool,
         setColor,
+        deleteSelected,
+        arrange,
         undo,
         redo,
         clear,
         exportPNG,
         exportSVG,
+        toSVG,
         copyToClipboard,
-        getDataURL
+        getDataURL,
+        zoomToFit,
+        getScene,
+        loadScene,
+        newBoard,
+        setCurrentBoard,
+        getCurrentBoard,
+        isEmpty
     };
 })();
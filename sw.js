@@ -0,0 +1,116 @@
+/**
+ * Moleskine - Service Worker
+ * Caches the app shell and fetched notebooks so the app works offline
+ */
+
+const SHELL_CACHE = 'moleskine-shell-v5';
+const CONTENT_CACHE = 'moleskine-content-v1';
+
+// Everything needed to start the app without a network
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'app.html',
+    'css/main.css',
+    'css/editor.css',
+    'css/whiteboard.css',
+    'js/vault.js',
+    'js/auth.js',
+    'js/storage.js',
+    'js/db.js',
+    'js/github.js',
+    'js/encryption.js',
+    'js/sync.js',
+    'js/diff.js',
+    'js/markdown.js',
+    'js/search.js',
+    'js/attachments.js',
+    'js/editor.js',
+    'js/revisions.js',
+    'js/whiteboard.js',
+    'js/app.js',
+    'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css',
+    'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/themes/prism.min.css',
+    'https://cdn.jsdelivr.net/npm/marked@9.1.6/marked.min.js',
+    'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.js',
+    'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/prism.min.js',
+    'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/components/prism-javascript.min.js',
+    'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/components/prism-python.min.js',
+    'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/components/prism-css.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older versions of this worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== CONTENT_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Writes and GitHub API calls always go to the network
+    if (request.method !== 'GET' || url.hostname === 'api.github.com') {
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        const isContent = /\/(notebooks|whiteboards|attachments)\//.test(url.pathname);
+        event.respondWith(networkFirst(request, isContent ? CONTENT_CACHE : SHELL_CACHE));
+    } else if (url.hostname === 'cdn.jsdelivr.net') {
+        // CDN URLs are versioned, so a cached copy never goes stale
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Fetch from the network and update the cache, falling back to the
+ * cached copy when offline
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Serve from the cache, fetching and caching on a miss
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
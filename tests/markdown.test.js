@@ -0,0 +1,47 @@
+/**
+ * Tests for tag, title and front matter rewriting in Markdown
+ */
+
+(function() {
+    const { test, assertEqual } = Tests;
+
+    test('replaceTag renames inline tags outside code', () => {
+        const markdown = '# Note\n\nAbout #work and #workshop.\n\n`#work` stays.\n';
+        assertEqual(
+            Markdown.replaceTag(markdown, 'work', 'job'),
+            '# Note\n\nAbout #job and #workshop.\n\n`#work` stays.\n'
+        );
+    });
+
+    test('replaceTag renames a tag in the front matter list and the body', () => {
+        const markdown = '---\ntags: [work, home]\n---\n# Note\n\nAt #work.\n';
+        const renamed = Markdown.replaceTag(markdown, 'work', 'job');
+
+        assertEqual(renamed, '---\ntags: [job, home]\n---\n# Note\n\nAt #job.\n');
+        assertEqual(Markdown.extractTags(renamed), ['job', 'home']);
+    });
+
+    test('replaceTag renames a tag set only in front matter', () => {
+        const markdown = '---\ntitle: Note\ntags:\n  - Work\n  - home\n---\nNo inline tags.\n';
+        const renamed = Markdown.replaceTag(markdown, 'work', 'job');
+
+        assertEqual(renamed, '---\ntitle: Note\ntags: [job, home]\n---\nNo inline tags.\n');
+        assertEqual(Markdown.extractTags(renamed), ['job', 'home']);
+    });
+
+    test('replaceTag merges into a tag the front matter already lists', () => {
+        const markdown = '---\ntags: work, job\n---\nText\n';
+        assertEqual(Markdown.extractTags(Markdown.replaceTag(markdown, 'work', 'job')), ['job']);
+    });
+
+    test('replaceTag leaves notes without the tag unchanged', () => {
+        const markdown = '---\ntags: [home]\n---\nAt #home.\n';
+        assertEqual(Markdown.replaceTag(markdown, 'work', 'job'), markdown);
+    });
+
+    test('setFrontMatterField only changes fields that are already set', () => {
+        const markdown = '---\ntitle: Old\n---\nBody\n';
+        assertEqual(Markdown.setFrontMatterField(markdown, 'title', 'New, improved'), '---\ntitle: New, improved\n---\nBody\n');
+        assertEqual(Markdown.setFrontMatterField(markdown, 'folder', 'x'), null);
+    });
+})();
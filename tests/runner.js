@@ -0,0 +1,72 @@
+/**
+ * Moleskine - Test Runner
+ * A small in-browser runner for the tests in this folder. Serve the repo
+ * (e.g. python3 -m http.server) and open tests/index.html.
+ */
+
+const Tests = (function() {
+    const tests = [];
+
+    /**
+     * Register a test; fn may be async and fails by throwing
+     */
+    function test(name, fn) {
+        tests.push({ name, fn });
+    }
+
+    /**
+     * Fail unless a value is truthy
+     */
+    function assert(value, message = 'Expected a truthy value') {
+        if (!value) {
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * Fail unless two values are equal (compared as JSON)
+     */
+    function assertEqual(actual, expected, message = '') {
+        const a = JSON.stringify(actual);
+        const b = JSON.stringify(expected);
+        if (a !== b) {
+            throw new Error(`${message ? message + ': ' : ''}expected ${b}, got ${a}`);
+        }
+    }
+
+    /**
+     * Run every registered test and list the results in #results
+     * @returns {Promise<{passed: number, failed: number}>}
+     */
+    async function run() {
+        const list = document.getElementById('results');
+        let passed = 0;
+        let failed = 0;
+
+        for (const { name, fn } of tests) {
+            const item = document.createElement('li');
+            try {
+                await fn();
+                passed++;
+                item.className = 'pass';
+                item.textContent = name;
+            } catch (err) {
+                failed++;
+                item.className = 'fail';
+                item.textContent = `${name}: ${err.message}`;
+                console.error(name, err);
+            }
+            list?.appendChild(item);
+        }
+
+        document.title = `${failed ? 'FAIL' : 'PASS'} ${passed}/${passed + failed}`;
+        return { passed, failed };
+    }
+
+    return {
+        test,
+        assert,
+        assertEqual,
+        run
+    };
+})();
@@ -0,0 +1,149 @@
+/**
+ * Tests for the rendered markdown sanitizer, with known XSS payloads
+ */
+
+(function() {
+    const { test, assert, assertEqual } = Tests;
+
+    const DANGEROUS_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'form', 'button', 'foreignobject', 'mglyph'];
+
+    /**
+     * Fail if anything in a sanitized fragment could run script
+     */
+    function assertInert(fragment) {
+        fragment.querySelectorAll('*').forEach(el => {
+            const tag = el.localName.toLowerCase();
+            assert(!DANGEROUS_TAGS.includes(tag), `<${tag}> kept`);
+
+            Array.from(el.attributes).forEach(attr => {
+                const name = attr.name.toLowerCase();
+                assert(!name.startsWith('on'), `${name} kept on <${tag}>`);
+                assert(!['srcdoc', 'formaction', 'action', 'xlink:href', 'style'].includes(name), `${name} kept on <${tag}>`);
+                assert(!/^\s*(?:javascript|vbscript|data):/i.test(attr.value) || name === 'src',
+                    `${name}="${attr.value}" kept on <${tag}>`);
+            });
+        });
+    }
+
+    function renderInto(markdown) {
+        const container = document.createElement('div');
+        Markdown.render(markdown, container);
+        return container;
+    }
+
+    test('sanitize removes event handlers from images', () => {
+        const fragment = Markdown.sanitize('<img src="x.png" onerror="alert(1)" onload="alert(2)">');
+
+        assertInert(fragment);
+        assertEqual(fragment.querySelector('img').getAttribute('src'), 'x.png');
+    });
+
+    test('sanitize removes javascript: URLs, however they are spelled', () => {
+        const fragment = Markdown.sanitize([
+            '<a href="javascript:alert(1)">a</a>',
+            '<a href="JaVaScRiPt:alert(1)">b</a>',
+            '<a href=" javascript:alert(1)">c</a>',
+            '<a href="jav&#x09;ascript:alert(1)">d</a>',
+            '<a href="java&#x0A;script:alert(1)">e</a>',
+            '<img src="javascript:alert(1)">'
+        ].join(''));
+
+        assertInert(fragment);
+        fragment.querySelectorAll('a, img').forEach(el => {
+            assert(!el.hasAttribute('href') && !el.hasAttribute('src'), `URL kept on ${el.outerHTML}`);
+        });
+    });
+
+    test('sanitize removes data: URLs except base64 raster images', () => {
+        const fragment = Markdown.sanitize([
+            '<a href="data:text/html,<script>alert(1)</script>">a</a>',
+            '<img id="svg" src="data:image/svg+xml,<svg onload=alert(1)>">',
+            '<img id="png" src="data:image/png;base64,iVBORw0KGgo=">'
+        ].join(''));
+
+        assertEqual(fragment.querySelector('a').hasAttribute('href'), false);
+        assertEqual(fragment.querySelector('#user-content-svg').hasAttribute('src'), false);
+        assertEqual(fragment.querySelector('#user-content-png').getAttribute('src'), 'data:image/png;base64,iVBORw0KGgo=');
+    });
+
+    test('sanitize drops scripts inside SVG', () => {
+        const fragment = Markdown.sanitize(
+            '<svg><script>alert(1)</script><a xlink:href="javascript:alert(2)"><path d="M0 0"/></a>' +
+            '<animate attributeName="href" to="javascript:alert(3)"/><foreignObject><img src=x onerror=alert(4)></foreignObject></svg>'
+        );
+
+        assertInert(fragment);
+        assert(fragment.querySelector('svg path'), 'SVG drawing dropped');
+    });
+
+    test('sanitize resists MathML and style mutation XSS', () => {
+        const payloads = [
+            '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+            '<math><mtext><table><mglyph><style><!--</style><img title="--&gt;&lt;/mglyph&gt;&lt;img src=1 onerror=alert(1)&gt;">',
+            '<math><style><img src=x onerror=alert(1)></style></math>',
+            '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">',
+            '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+            '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>'
+        ];
+
+        payloads.forEach(payload => assertInert(Markdown.sanitize(payload)));
+    });
+
+    test('sanitize removes srcdoc frames and attributes', () => {
+        const fragment = Markdown.sanitize(
+            '<iframe srcdoc="<script>alert(1)</script>"></iframe><div srcdoc="<script>alert(2)</script>">x</div>'
+        );
+
+        assertInert(fragment);
+        assertEqual(fragment.textContent, 'x');
+    });
+
+    test('sanitize removes formaction buttons and inputs', () => {
+        const fragment = Markdown.sanitize(
+            '<form action="javascript:alert(1)"><button formaction="javascript:alert(2)">Go</button></form>' +
+            '<input type="submit" formaction="javascript:alert(3)">' +
+            '<input type="checkbox" formaction="javascript:alert(4)">'
+        );
+
+        assertInert(fragment);
+        assertEqual(fragment.querySelectorAll('input').length, 1);
+        assertEqual(fragment.querySelector('input').getAttribute('type'), 'checkbox');
+    });
+
+    test('sanitize prefixes IDs and in-page links', () => {
+        const fragment = Markdown.sanitize('<div id="modal">x</div><a href="#modal">y</a><a href="#">z</a>');
+
+        assertEqual(fragment.querySelector('div').id, 'user-content-modal');
+        assertEqual(fragment.querySelector('a').getAttribute('href'), '#user-content-modal');
+        assertEqual(fragment.querySelectorAll('a')[1].getAttribute('href'), '#');
+    });
+
+    test('sanitize drops app classes and inline styles', () => {
+        const fragment = Markdown.sanitize(
+            '<div class="modal active wiki-link" style="position:fixed;inset:0">x</div>' +
+            '<pre><code class="language-js hidden">y</code></pre><p class="language-js">z</p>'
+        );
+
+        assertEqual(fragment.querySelector('div').className, 'wiki-link');
+        assertEqual(fragment.querySelector('div').hasAttribute('style'), false);
+        assertEqual(fragment.querySelector('code').className, 'language-js');
+        assertEqual(fragment.querySelector('p').hasAttribute('class'), false);
+    });
+
+    test('render keeps headings, task lists and math working', () => {
+        const container = renderInto('# Intro\n\n[Top](#intro)\n\n- [x] done\n\n$x^2$\n');
+
+        assertEqual(container.querySelector('h1').id, Markdown.anchorId('intro'));
+        assertEqual(container.querySelector('a').getAttribute('href'), '#' + Markdown.anchorId('intro'));
+        assert(container.querySelector('li.task-list-item input[type="checkbox"]'), 'task list item lost');
+        if (typeof katex !== 'undefined') {
+            assert(container.querySelector('.katex'), 'math not rendered');
+        }
+    });
+
+    test('render ignores forged math placeholders', () => {
+        const container = renderInto('<span data-math="constructor">a</span><span data-math="7">b</span>');
+
+        assertEqual(container.textContent.trim(), 'ab');
+    });
+})();